@@ -0,0 +1,262 @@
+/**
+ * Catalog Format
+ * 
+ * The layout of the product file shared by the uploader and the downloader:
+ * the column and worksheet names both of them use, and the rules for
+ * currency amounts and recurring prices, so that a downloaded file can be
+ * uploaded again unchanged.
+ */
+
+// Required columns of the products worksheet, and the ID columns the uploader fills in
+const REQUIRED_COLUMNS = ['CODE', 'NAME', 'DESCRIPTION', 'PRICE', 'IMAGE'];
+const STRIPE_PRODUCT_ID_COLUMN = 'STRIPE_PRODUCT_ID';
+const STRIPE_PRICE_ID_COLUMN = 'STRIPE_PRICE_ID';
+
+// IMAGE may list several files separated by semicolons
+const IMAGE_LIST_SEPARATOR = ';';
+
+// META_<key> columns hold the product's metadata under <key>, except the keys
+// the uploader manages itself
+const META_COLUMN_PREFIX = 'META_';
+const RESERVED_METADATA_KEYS = ['product_code', 'image_hash'];
+
+// MARKETING_FEATURES lists the features separated by semicolons
+const MARKETING_FEATURES_SEPARATOR = ';';
+
+// Optional product attribute columns and the Stripe product fields they set
+const PRODUCT_ATTRIBUTE_COLUMNS = {
+  TAX_CODE: 'tax_code',
+  UNIT_LABEL: 'unit_label',
+  STATEMENT_DESCRIPTOR: 'statement_descriptor',
+  SHIPPABLE: 'shippable',
+  URL: 'url',
+  MARKETING_FEATURES: 'marketing_features'
+};
+// Package dimensions are in inches and the weight in ounces; all four are needed
+const PACKAGE_DIMENSION_COLUMNS = {
+  PACKAGE_HEIGHT: 'height',
+  PACKAGE_LENGTH: 'length',
+  PACKAGE_WEIGHT: 'weight',
+  PACKAGE_WIDTH: 'width'
+};
+
+// CURRENCY sets the price's currency, and PRICE_<CURRENCY> columns (e.g.
+// PRICE_EUR) hold the price's amount in its other currencies
+const CURRENCY_COLUMN = 'CURRENCY';
+const CURRENCY_PRICE_COLUMN_PREFIX = 'PRICE_';
+const CURRENCY_PRICE_COLUMN_PATTERN = new RegExp(`^${CURRENCY_PRICE_COLUMN_PREFIX}([A-Z]{3})$`);
+
+// Currencies whose smallest unit isn't 1/100 of the major unit
+// See https://stripe.com/docs/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+const THREE_DECIMAL_CURRENCIES = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+// Recurring price columns; rows with an INTERVAL get a recurring price
+const RECURRING_COLUMNS = ['INTERVAL', 'INTERVAL_COUNT', 'USAGE_TYPE', 'TRIAL_DAYS'];
+const RECURRING_INTERVALS = ['day', 'week', 'month', 'year'];
+const RECURRING_USAGE_TYPES = ['licensed', 'metered'];
+// Stripe allows billing periods of up to three years
+const MAX_INTERVAL_COUNTS = { day: 1095, week: 156, month: 36, year: 3 };
+const MAX_TRIAL_DAYS = 730;
+
+// Worksheet with tiered pricing, one row per tier keyed by product CODE
+const PRICE_TIERS_SHEET = 'PRICE_TIERS';
+const PRICE_TIERS_COLUMNS = ['CODE', 'TIERS_MODE', 'UP_TO', 'UNIT_AMOUNT', 'FLAT_AMOUNT'];
+
+// Worksheet listing the prices of each product, one row per price keyed by product CODE
+const PRICES_SHEET = 'PRICES';
+
+// Worksheet that records every price replacement
+const PRICE_HISTORY_SHEET = 'PRICE_HISTORY';
+
+// Payment link of each row's price: its URL and ID, and the settings the
+// uploader creates it with. Stripe doesn't return whether a link's quantity
+// is adjustable, so the uploader keeps that in the link's metadata
+const PAYMENT_LINK_COLUMN = 'PAYMENT_LINK';
+const STRIPE_PAYMENT_LINK_ID_COLUMN = 'STRIPE_PAYMENT_LINK_ID';
+const QUANTITY_ADJUSTABLE_COLUMN = 'QUANTITY_ADJUSTABLE';
+const SUCCESS_URL_COLUMN = 'SUCCESS_URL';
+const QUANTITY_ADJUSTABLE_METADATA_KEY = 'quantity_adjustable';
+
+// Stripe Connect account IDs, e.g. acct_1A2b3C4d5E6f7G8h
+const ACCOUNT_ID_PATTERN = /^acct_[A-Za-z0-9]+$/;
+
+/**
+ * Get the number of decimal places of a currency's major unit
+ * @param {string} currency - Three-letter ISO currency code
+ * @returns {number} - Number of decimal places
+ */
+function getCurrencyDecimals(currency) {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) {
+    return 0;
+  }
+  if (THREE_DECIMAL_CURRENCIES.includes(currency)) {
+    return 3;
+  }
+  return 2;
+}
+
+/**
+ * Convert an amount in the major currency unit to Stripe's smallest currency unit
+ * @param {number} amount - Amount in the major unit (e.g. dollars)
+ * @param {string} currency - Three-letter ISO currency code
+ * @returns {number} - Amount in the smallest unit (e.g. cents)
+ */
+function toStripeAmount(amount, currency) {
+  const decimals = getCurrencyDecimals(currency);
+  
+  // Stripe requires three-decimal amounts to be a multiple of 10
+  if (decimals === 3) {
+    return Math.round(amount * 100) * 10;
+  }
+  
+  return Math.round(amount * Math.pow(10, decimals)); // Round to avoid floating point issues
+}
+
+/**
+ * Convert an amount in Stripe's smallest currency unit to the major currency unit
+ * @param {number} unitAmount - Amount in the smallest unit (e.g. cents)
+ * @param {string} currency - Three-letter ISO currency code
+ * @returns {number} - Amount in the major unit (e.g. dollars)
+ */
+function fromStripeAmount(unitAmount, currency) {
+  return unitAmount / Math.pow(10, getCurrencyDecimals(currency));
+}
+
+/**
+ * Format an amount in Stripe's smallest currency unit as a major unit amount
+ * @param {number} unitAmount - Amount in the smallest unit (e.g. cents)
+ * @param {string} currency - Three-letter ISO currency code
+ * @returns {string} - Amount in the major unit (e.g. "12.50")
+ */
+function formatStripeAmount(unitAmount, currency) {
+  const decimals = getCurrencyDecimals(currency);
+  return (unitAmount / Math.pow(10, decimals)).toFixed(decimals);
+}
+
+/**
+ * Validate the recurring price columns of a row
+ * @param {Object} values - Cell values keyed by column name (INTERVAL, INTERVAL_COUNT, USAGE_TYPE, TRIAL_DAYS)
+ * @returns {Array<Object>} - List of errors ({ column, message }), empty if the values are valid
+ */
+function validateRecurringColumns(values) {
+  const errors = [];
+  const isWholeNumber = value => /^\d+$/.test(value.toString().trim());
+  
+  if (values.INTERVAL === null) {
+    ['INTERVAL_COUNT', 'USAGE_TYPE', 'TRIAL_DAYS'].forEach(column => {
+      if (values[column] !== null) {
+        errors.push({ column, message: 'requires an INTERVAL' });
+      }
+    });
+    return errors;
+  }
+  
+  const interval = values.INTERVAL.toString().trim().toLowerCase();
+  if (!RECURRING_INTERVALS.includes(interval)) {
+    errors.push({ column: 'INTERVAL', message: `must be one of ${RECURRING_INTERVALS.join(', ')}` });
+  }
+  
+  if (values.INTERVAL_COUNT !== null) {
+    const intervalCount = parseInt(values.INTERVAL_COUNT, 10);
+    if (!isWholeNumber(values.INTERVAL_COUNT) || intervalCount < 1) {
+      errors.push({ column: 'INTERVAL_COUNT', message: 'must be a whole number of at least 1' });
+    } else if (MAX_INTERVAL_COUNTS[interval] && intervalCount > MAX_INTERVAL_COUNTS[interval]) {
+      errors.push({ column: 'INTERVAL_COUNT', message: `must be at most ${MAX_INTERVAL_COUNTS[interval]} for ${interval} intervals (three years)` });
+    }
+  }
+  
+  if (values.USAGE_TYPE !== null && !RECURRING_USAGE_TYPES.includes(values.USAGE_TYPE.toString().trim().toLowerCase())) {
+    errors.push({ column: 'USAGE_TYPE', message: `must be one of ${RECURRING_USAGE_TYPES.join(', ')}` });
+  }
+  
+  if (values.TRIAL_DAYS !== null) {
+    if (!isWholeNumber(values.TRIAL_DAYS) || parseInt(values.TRIAL_DAYS, 10) > MAX_TRIAL_DAYS) {
+      errors.push({ column: 'TRIAL_DAYS', message: `must be a whole number between 0 and ${MAX_TRIAL_DAYS}` });
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Read the connected accounts given with --account
+ * @param {string|Array<string>} [value] - Account ID, or a list of them; each may also list IDs separated by commas
+ * @returns {Array<string>} - Account IDs, without duplicates (empty if none are given)
+ */
+function parseAccounts(value) {
+  const accounts = [].concat(value ?? [])
+    .flatMap(entry => entry.toString().split(','))
+    .map(account => account.trim())
+    .filter(account => account !== '');
+  
+  accounts.forEach(account => {
+    if (!ACCOUNT_ID_PATTERN.test(account)) {
+      throw new Error(`--account must be a connected account ID, e.g. acct_1A2b3C4d5E6f7G8h (got "${account}")`);
+    }
+  });
+  
+  return [...new Set(accounts)];
+}
+
+/**
+ * Get the QUANTITY_ADJUSTABLE and SUCCESS_URL settings of a payment link
+ * 
+ * Links created elsewhere don't have the metadata, so whether their quantity
+ * is adjustable is unknown.
+ * @param {Object} link - Stripe payment link object
+ * @returns {Object} - The settings ({ quantityAdjustable, successUrl }), null where unknown or not set
+ */
+function getPaymentLinkSettings(link) {
+  const quantityAdjustable = link.metadata?.[QUANTITY_ADJUSTABLE_METADATA_KEY];
+  return {
+    quantityAdjustable: quantityAdjustable === 'true' || quantityAdjustable === 'false' ? quantityAdjustable === 'true' : null,
+    successUrl: link.after_completion?.type === 'redirect' ? link.after_completion.redirect.url : null
+  };
+}
+
+/**
+ * Get the name of a column that holds values of one connected account
+ * 
+ * Each connected account has its own Stripe IDs, so they are kept in columns
+ * named after the account, e.g. STRIPE_PRODUCT_ID_acct_123.
+ * @param {string} column - Column name, e.g. STRIPE_PRODUCT_ID
+ * @param {string|null} account - Connected account ID, or null for the platform account
+ * @returns {string} - Column name of the account
+ */
+function getAccountColumn(column, account) {
+  return account ? `${column}_${account}` : column;
+}
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  STRIPE_PRODUCT_ID_COLUMN,
+  STRIPE_PRICE_ID_COLUMN,
+  IMAGE_LIST_SEPARATOR,
+  META_COLUMN_PREFIX,
+  RESERVED_METADATA_KEYS,
+  MARKETING_FEATURES_SEPARATOR,
+  PRODUCT_ATTRIBUTE_COLUMNS,
+  PACKAGE_DIMENSION_COLUMNS,
+  CURRENCY_COLUMN,
+  CURRENCY_PRICE_COLUMN_PREFIX,
+  CURRENCY_PRICE_COLUMN_PATTERN,
+  RECURRING_COLUMNS,
+  PRICE_TIERS_SHEET,
+  PRICE_TIERS_COLUMNS,
+  PRICES_SHEET,
+  PRICE_HISTORY_SHEET,
+  PAYMENT_LINK_COLUMN,
+  STRIPE_PAYMENT_LINK_ID_COLUMN,
+  QUANTITY_ADJUSTABLE_COLUMN,
+  SUCCESS_URL_COLUMN,
+  QUANTITY_ADJUSTABLE_METADATA_KEY,
+  getCurrencyDecimals,
+  toStripeAmount,
+  fromStripeAmount,
+  formatStripeAmount,
+  validateRecurringColumns,
+  parseAccounts,
+  getAccountColumn,
+  getPaymentLinkSettings
+};
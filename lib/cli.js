@@ -0,0 +1,49 @@
+/**
+ * Command-Line Helpers
+ * 
+ * The parts the uploader and downloader scripts share: the Stripe client
+ * built from the environment and the logger that prints the library's
+ * messages in color.
+ */
+
+const chalk = require('chalk');
+const Stripe = require('stripe');
+
+// Prints the log messages of the library in the scripts' colors
+const CONSOLE_LOGGER = {
+  log: (...args) => console.log(...args),
+  info: message => console.log(chalk.blue(message)),
+  debug: message => console.log(chalk.gray(message)),
+  success: message => console.log(chalk.green(message)),
+  notice: message => console.log(chalk.yellow(message)),
+  warn: message => console.warn(chalk.yellow(message)),
+  error: message => console.error(chalk.red(message))
+};
+
+/**
+ * Create a Stripe client with the STRIPE_API_KEY and STRIPE_API_VERSION environment variables
+ * 
+ * Exits the process when the key is required but not set.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.required] - Whether the command needs a key (default: true)
+ * @returns {Stripe|null} - Stripe client, or null if no key is set and none is required
+ */
+function createStripeClient({ required = true } = {}) {
+  if (!process.env.STRIPE_API_KEY) {
+    if (required) {
+      console.error(chalk.red('Error: STRIPE_API_KEY environment variable is required.'));
+      console.error(chalk.yellow('Please set it in a .env file or as an environment variable.'));
+      process.exit(1);
+    }
+    return null;
+  }
+  
+  return new Stripe(process.env.STRIPE_API_KEY, {
+    apiVersion: process.env.STRIPE_API_VERSION || null,
+  });
+}
+
+module.exports = {
+  CONSOLE_LOGGER,
+  createStripeClient
+};
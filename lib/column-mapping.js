@@ -0,0 +1,156 @@
+/**
+ * Column Mapping
+ * 
+ * Reads the mapping file that lets the uploader read sheets with their own
+ * headers, e.g. a supplier's sheet with "SKU", "Title" and "Retail Price"
+ * columns. The file is JSON or YAML, chosen by its extension:
+ * 
+ *   headerRow: 3
+ *   locale: de-DE
+ *   columns:
+ *     SKU: CODE
+ *     Title: NAME
+ *     Retail Price: PRICE
+ * 
+ * headerRow is the row number of the headers in the product worksheets (the
+ * rows above it are ignored; PRICE_TIERS and PRICES keep theirs in row 1),
+ * locale sets the number format of amounts written as text, and columns maps
+ * sheet headers to the uploader's columns.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { isSupportedLocale } = require('./locale-amounts');
+
+// Mapping used when no mapping file is given
+const DEFAULT_COLUMN_MAPPING = Object.freeze({
+  headerRow: 1,
+  locale: null,
+  columns: Object.freeze({})
+});
+
+// Keys a mapping file may contain
+const MAPPING_KEYS = ['headerRow', 'locale', 'columns'];
+
+/**
+ * Read and check a column mapping file
+ * @param {string} [filePath] - Path to the JSON or YAML mapping file
+ * @param {Function} isColumn - Returns whether a name is one of the uploader's columns
+ * @returns {Object} - The mapping ({ headerRow, locale, columns }), or the default mapping if no file is given
+ */
+function loadColumnMapping(filePath, isColumn) {
+  if (!filePath) {
+    return DEFAULT_COLUMN_MAPPING;
+  }
+  
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Mapping file not found: ${filePath}`);
+  }
+  
+  const ext = path.extname(filePath).toLowerCase();
+  const text = fs.readFileSync(filePath, 'utf8');
+  let config;
+  try {
+    if (ext === '.json') {
+      config = JSON.parse(text);
+    } else if (ext === '.yaml' || ext === '.yml') {
+      config = YAML.parse(text);
+    } else {
+      throw new Error(`unsupported file type "${ext}" (use .json, .yaml or .yml)`);
+    }
+  } catch (error) {
+    throw new Error(`Invalid mapping file ${filePath}: ${error.message}`);
+  }
+  
+  const errors = validateColumnMapping(config, isColumn);
+  if (errors.length > 0) {
+    throw new Error(`Invalid mapping file ${filePath}: ${errors.join('; ')}`);
+  }
+  
+  return {
+    headerRow: config.headerRow ?? DEFAULT_COLUMN_MAPPING.headerRow,
+    locale: config.locale ?? null,
+    columns: { ...config.columns }
+  };
+}
+
+/**
+ * Validate the contents of a mapping file
+ * @param {*} config - Parsed mapping file
+ * @param {Function} isColumn - Returns whether a name is one of the uploader's columns
+ * @returns {Array<string>} - List of error messages, empty if the mapping is valid
+ */
+function validateColumnMapping(config, isColumn) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return ['must contain an object with headerRow, locale and columns keys'];
+  }
+  
+  const errors = [];
+  Object.keys(config).forEach(key => {
+    if (!MAPPING_KEYS.includes(key)) {
+      errors.push(`unknown key "${key}" (use ${MAPPING_KEYS.join(', ')})`);
+    }
+  });
+  
+  if (config.headerRow !== undefined && (!Number.isInteger(config.headerRow) || config.headerRow < 1)) {
+    errors.push('headerRow must be a whole number of at least 1');
+  }
+  
+  if (config.locale !== undefined && config.locale !== null &&
+      (typeof config.locale !== 'string' || !isSupportedLocale(config.locale))) {
+    errors.push(`locale "${config.locale}" is not a supported locale (e.g. en-US or de-DE)`);
+  }
+  
+  const columns = config.columns ?? {};
+  if (typeof columns !== 'object' || Array.isArray(columns)) {
+    errors.push('columns must map sheet headers to column names');
+    return errors;
+  }
+  
+  const headersByColumn = {};
+  Object.entries(columns).forEach(([header, column]) => {
+    if (typeof column !== 'string' || !isColumn(column)) {
+      errors.push(`"${header}" is mapped to "${column}", which is not a column the uploader reads`);
+      return;
+    }
+    
+    if (headersByColumn[column]) {
+      errors.push(`"${headersByColumn[column]}" and "${header}" are both mapped to ${column}`);
+    }
+    headersByColumn[column] = header;
+  });
+  
+  return errors;
+}
+
+/**
+ * Get the column a sheet header is mapped to
+ * 
+ * Headers are matched without regard to case or surrounding spaces.
+ * @param {string} header - Header in the sheet
+ * @param {Object} mapping - The column mapping
+ * @returns {string} - The mapped column name, or the header itself if it isn't mapped
+ */
+function mapHeader(header, mapping) {
+  const normalize = text => text.trim().toLowerCase();
+  const match = Object.keys(mapping.columns).find(source => normalize(source) === normalize(header));
+  return match ? mapping.columns[match] : header;
+}
+
+/**
+ * Get the sheet header mapped to a column, for error messages
+ * @param {string} column - The uploader's column name
+ * @param {Object} mapping - The column mapping
+ * @returns {string|null} - The sheet header, or null if no header is mapped to the column
+ */
+function findMappedHeader(column, mapping) {
+  return Object.keys(mapping.columns).find(header => mapping.columns[header] === column) || null;
+}
+
+module.exports = {
+  DEFAULT_COLUMN_MAPPING,
+  loadColumnMapping,
+  mapHeader,
+  findMappedHeader
+};
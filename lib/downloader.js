@@ -0,0 +1,982 @@
+/**
+ * Downloader
+ * 
+ * Fetches the products and prices from Stripe and writes them to a new file in
+ * the downloads folder, in the layout the uploader reads, saving the product
+ * images to the productImages folder. The download command of the downloader
+ * script is available as a function:
+ * 
+ *   downloadCatalog - Download the products from Stripe to a file
+ * 
+ * It takes the options of the command (e.g. limit, format, groupBy), plus the
+ * Stripe client (stripe), an optional logger with log, warn and error methods,
+ * and an optional onProgress callback. Errors are thrown, never printed.
+ * With account (a Stripe Connect account ID), the products are downloaded
+ * from the connected account instead of the platform account.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const Excel = require('exceljs');
+const { fetchAllProducts, searchAllProducts, fetchAllPrices, fetchAllPaymentLinks } = require('./stripe-catalog');
+const { writeWorkbook } = require('./workbook-io');
+const { IMAGE_TYPES, detectImageType, getContentImageType } = require('./images');
+const {
+  REQUIRED_COLUMNS,
+  STRIPE_PRODUCT_ID_COLUMN,
+  STRIPE_PRICE_ID_COLUMN,
+  IMAGE_LIST_SEPARATOR,
+  META_COLUMN_PREFIX,
+  RESERVED_METADATA_KEYS,
+  MARKETING_FEATURES_SEPARATOR,
+  PRODUCT_ATTRIBUTE_COLUMNS,
+  PACKAGE_DIMENSION_COLUMNS,
+  CURRENCY_COLUMN,
+  CURRENCY_PRICE_COLUMN_PREFIX,
+  RECURRING_COLUMNS,
+  PRICE_TIERS_SHEET,
+  PRICE_TIERS_COLUMNS,
+  PRICES_SHEET,
+  PRICE_HISTORY_SHEET,
+  PAYMENT_LINK_COLUMN,
+  STRIPE_PAYMENT_LINK_ID_COLUMN,
+  QUANTITY_ADJUSTABLE_COLUMN,
+  SUCCESS_URL_COLUMN,
+  formatStripeAmount,
+  validateRecurringColumns,
+  parseAccounts,
+  getAccountColumn,
+  getPaymentLinkSettings
+} = require('./catalog-format');
+const { LOG_LEVELS, runSession, getSession, getStripe, getRequestOptions } = require('./session');
+
+// Columns of the PRICES worksheet, which lists every price of each product
+const PRICES_COLUMNS = ['CODE', 'STRIPE_PRICE_ID', 'NICKNAME', 'CURRENCY', 'AMOUNT', 'TYPE', ...RECURRING_COLUMNS, 'ACTIVE', 'LOOKUP_KEY', PAYMENT_LINK_COLUMN];
+
+// Payment link columns of the product worksheets, exported when a price has a link
+const PAYMENT_LINK_COLUMNS = [PAYMENT_LINK_COLUMN, STRIPE_PAYMENT_LINK_ID_COLUMN, QUANTITY_ADJUSTABLE_COLUMN, SUCCESS_URL_COLUMN];
+
+// Columns named after the connected account with --account, since the IDs belong to it
+const ACCOUNT_COLUMNS = [STRIPE_PRODUCT_ID_COLUMN, STRIPE_PRICE_ID_COLUMN, PAYMENT_LINK_COLUMN, STRIPE_PAYMENT_LINK_ID_COLUMN];
+
+// Products go on this worksheet, or with --groupBy, the ones without the key
+const DEFAULT_SHEET_NAME = 'Products';
+// Worksheet names the uploader reserves for other data
+const RESERVED_SHEET_NAMES = [PRICES_SHEET, PRICE_TIERS_SHEET, PRICE_HISTORY_SHEET];
+// Excel's limits for worksheet names
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARACTERS = /[\\/?*[\]:]/g;
+
+// Column that marks archived products, added when they are downloaded
+const ACTIVE_COLUMN = 'ACTIVE';
+
+// Number of product IDs requested at a time with --ids
+const MAX_IDS_PER_REQUEST = 100;
+
+// Folder the images are saved to, and the file in it that records where each
+// image came from, so unchanged images aren't downloaded again
+const IMAGES_DIR = 'productImages';
+const IMAGE_MANIFEST_FILE = '.manifest.json';
+
+// Redirects followed when downloading an image
+const MAX_REDIRECTS = 5;
+
+// Options of downloadCatalog, when not given
+const DEFAULT_OPTIONS = {
+  limit: 100,
+  format: 'xlsx',
+  dryRun: false,
+  includeArchived: false,
+  archivedOnly: false
+};
+
+// Writes to the session's logger
+const logger = Object.fromEntries(LOG_LEVELS.map(level => [level, (...args) => getSession().logger[level](...args)]));
+
+/**
+ * Download the products from Stripe to a new file in the downloads folder
+ * @returns {Promise<Object>} - The file and the number of products in it ({ filePath, productCount })
+ */
+async function download() {
+  const { options, account } = getSession();
+  logger.info('Starting Stripe Product Downloader');
+  
+  if (options.dryRun) {
+    logger.notice('DRY RUN MODE: No images will be downloaded and no Excel file will be created');
+  }
+  
+  // A CSV file holds a single worksheet (apart from the PRICES and PRICE_TIERS sidecars)
+  if (options.groupBy !== undefined && options.format === 'csv') {
+    throw new Error('--groupBy needs --format=xlsx or --format=json, since a CSV file holds a single worksheet');
+  }
+  
+  // Create productImages directory if it doesn't exist
+  const productImagesDir = path.join(process.cwd(), IMAGES_DIR);
+  if (!fs.existsSync(productImagesDir)) {
+    if (!options.dryRun) {
+      logger.info('Creating productImages directory...');
+      fs.mkdirSync(productImagesDir);
+    } else {
+      logger.notice('[DRY RUN] Would create productImages directory');
+    }
+  }
+  
+  // Fetch products from Stripe
+  const filters = getProductFilters();
+  logger.info(`Fetching products from ${account ? `connected account ${account}` : 'Stripe'} (limit: ${options.limit})...`);
+  describeProductFilters(filters).forEach(description => logger.debug(`Filter: ${description}`));
+  const products = await fetchProducts(filters);
+  logger.success(`Found ${products.length} products in Stripe`);
+  
+  // Payment links are listed once, and matched to the prices they sell
+  const paymentLinksByPrice = await fetchPaymentLinksByPrice();
+  
+  // Process each product
+  logger.info(`Processing ${products.length} products...`);
+  
+  const rowsBySheet = new Map([[DEFAULT_SHEET_NAME, []]]);
+  const imageManifest = readImageManifest();
+  const tierRows = [];
+  const priceRows = [];
+  const optionCurrencies = new Set();
+  const metadataKeys = new Set();
+  let hasPaymentLinks = false;
+  
+  for (const [index, product] of products.entries()) {
+    logger.debug(`Processing product: ${product.id} - ${product.name}`);
+    
+    // Get product code from metadata
+    const productCode = product.metadata?.product_code || '';
+    
+    // Get product prices; the main one goes in the product's row, and all of them to the PRICES worksheet
+    const prices = await fetchProductPrices(product);
+    const price = getMainPrice(product, prices);
+    const priceId = price ? price.id : '';
+    prices.forEach(productPrice => priceRows.push(getPriceRow(productPrice, productCode, paymentLinksByPrice)));
+    
+    // The row gets the newest link that sells only its price, as the uploader creates them
+    const paymentLink = (paymentLinksByPrice.get(priceId) || []).find(link => link.line_items.data.length === 1);
+    const paymentLinkValues = paymentLink ? getPaymentLinkValues(paymentLink) : {};
+    hasPaymentLinks = hasPaymentLinks || prices.some(productPrice => paymentLinksByPrice.has(productPrice.id));
+    
+    // Export amounts in the major currency unit, one column per extra currency
+    const currencyValues = {};
+    if (price) {
+      // Tiered prices have no unit amount; their tiers go to the PRICE_TIERS worksheet
+      currencyValues.price = price.billing_scheme === 'tiered' ? '' : formatStripeAmount(price.unit_amount, price.currency);
+      currencyValues[CURRENCY_COLUMN.toLowerCase()] = price.currency.toUpperCase();
+      
+      Object.entries(price.currency_options || {}).forEach(([optionCurrency, option]) => {
+        // Stripe lists the price's own currency among its currency options
+        if (optionCurrency !== price.currency) {
+          optionCurrencies.add(optionCurrency);
+          currencyValues[`${CURRENCY_PRICE_COLUMN_PREFIX}${optionCurrency}`.toLowerCase()] = formatStripeAmount(option.unit_amount, optionCurrency);
+        }
+      });
+    }
+    
+    // Export recurring settings so subscriptions can be uploaded again
+    const recurringValues = getRecurringValues(price);
+    const recurringErrors = validateRecurringColumns(recurringValues);
+    recurringErrors.forEach(error => {
+      logger.warn(`Warning: ${error.column} of price ${priceId} ${error.message}; the uploader will skip product ${productCode || product.id}`);
+    });
+    if (price?.recurring?.aggregate_usage && price.recurring.aggregate_usage !== 'sum') {
+      logger.warn(`Warning: Price ${priceId} uses aggregate_usage "${price.recurring.aggregate_usage}", which is not exported`);
+    }
+    
+    if (price?.billing_scheme === 'tiered') {
+      if (!productCode) {
+        logger.warn(`Warning: Product ${product.id} has a tiered price but no product code; its tiers can't be exported`);
+      }
+      tierRows.push(...getPriceTierRows(price, productCode));
+    }
+    
+    // Process images in order
+    const imageFileNames = [];
+    for (const [index, imageUrl] of (product.images || []).entries()) {
+      imageFileNames.push(await downloadProductImage(imageUrl, product, productCode, index, imageManifest, options.dryRun));
+    }
+    
+    // Export the remaining metadata keys to META_<key> columns
+    const metadataValues = {};
+    Object.entries(product.metadata || {}).forEach(([key, value]) => {
+      if (!RESERVED_METADATA_KEYS.includes(key)) {
+        metadataKeys.add(key);
+        metadataValues[`${META_COLUMN_PREFIX}${key}`] = value;
+      }
+    });
+    
+    // The metadata key stays in its META_ column too, so it survives an upload unchanged
+    const sheetName = options.groupBy ? getGroupSheetName(product.metadata?.[options.groupBy], rowsBySheet) : DEFAULT_SHEET_NAME;
+    if (!rowsBySheet.has(sheetName)) {
+      rowsBySheet.set(sheetName, []);
+    }
+    
+    rowsBySheet.get(sheetName).push({
+      code: productCode,
+      name: product.name,
+      description: product.description || '',
+      price: '',
+      image: imageFileNames.join(IMAGE_LIST_SEPARATOR),
+      currency: '',
+      ...currencyValues,
+      interval: recurringValues.INTERVAL ?? '',
+      interval_count: recurringValues.INTERVAL_COUNT ?? '',
+      usage_type: recurringValues.USAGE_TYPE ?? '',
+      trial_days: recurringValues.TRIAL_DAYS ?? '',
+      ...getProductAttributeValues(product),
+      ...metadataValues,
+      stripe_product_id: product.id,
+      stripe_price_id: priceId,
+      ...paymentLinkValues,
+      active: product.active ? 'TRUE' : 'FALSE'
+    });
+    
+    getSession().onProgress({ type: 'product', productId: product.id, code: productCode, completed: index + 1, total: products.length });
+  }
+  
+  if (!options.dryRun) {
+    writeImageManifest(imageManifest);
+  }
+  
+  // Create a new workbook
+  const workbook = new Excel.Workbook();
+  
+  // Add headers
+  const currencyHeaders = [...optionCurrencies].sort()
+    .map(optionCurrency => `${CURRENCY_PRICE_COLUMN_PREFIX}${optionCurrency.toUpperCase()}`);
+  const headers = [
+    ...REQUIRED_COLUMNS,
+    CURRENCY_COLUMN,
+    ...currencyHeaders,
+    ...RECURRING_COLUMNS,
+    ...Object.keys(PRODUCT_ATTRIBUTE_COLUMNS),
+    ...Object.keys(PACKAGE_DIMENSION_COLUMNS),
+    ...[...metadataKeys].sort().map(key => `${META_COLUMN_PREFIX}${key}`),
+    STRIPE_PRODUCT_ID_COLUMN,
+    STRIPE_PRICE_ID_COLUMN,
+    ...(hasPaymentLinks ? PAYMENT_LINK_COLUMNS : []),
+    ...(filters.active === true ? [] : [ACTIVE_COLUMN])
+  ].map(header => (ACCOUNT_COLUMNS.includes(header) ? getAccountColumn(header, account) : header));
+  
+  // The ID columns of a connected account are named after it, as the uploader
+  // reads them, but rows hold the IDs under the same keys for every account
+  const columnKeys = {};
+  ACCOUNT_COLUMNS.forEach(column => {
+    columnKeys[getAccountColumn(column, account)] = column.toLowerCase();
+  });
+  
+  // With --groupBy, products without the key come first, then one sheet per value
+  const sheetNames = [...rowsBySheet.keys()]
+    .filter(sheetName => sheetName !== DEFAULT_SHEET_NAME || rowsBySheet.get(sheetName).length > 0 || rowsBySheet.size === 1)
+    .sort((a, b) => (b === DEFAULT_SHEET_NAME) - (a === DEFAULT_SHEET_NAME) || a.localeCompare(b));
+  
+  sheetNames.forEach(sheetName => {
+    const worksheet = workbook.addWorksheet(sheetName);
+    
+    // Metadata keys are case-sensitive, so META_ columns keep their header as key
+    worksheet.columns = headers.map(header => ({
+      header,
+      key: columnKeys[header] || (header.startsWith(META_COLUMN_PREFIX) ? header : header.toLowerCase())
+    }));
+    
+    // Add rows to worksheet
+    rowsBySheet.get(sheetName).forEach(row => worksheet.addRow(row));
+    
+    // Format the worksheet
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.columns.forEach(column => {
+      column.width = 20;
+    });
+  });
+  
+  // Add every price to a separate worksheet keyed by product code
+  if (priceRows.length > 0) {
+    const pricesSheet = workbook.addWorksheet(PRICES_SHEET);
+    pricesSheet.columns = PRICES_COLUMNS.filter(header => hasPaymentLinks || header !== PAYMENT_LINK_COLUMN).map(header => ({
+      header: header === STRIPE_PRICE_ID_COLUMN ? getAccountColumn(header, account) : header,
+      key: header.toLowerCase(),
+      width: 20
+    }));
+    priceRows.forEach(row => pricesSheet.addRow(row));
+    pricesSheet.getRow(1).font = { bold: true };
+  }
+  
+  // Add tiered prices to a separate worksheet keyed by product code
+  if (tierRows.length > 0) {
+    const tiersSheet = workbook.addWorksheet(PRICE_TIERS_SHEET);
+    tiersSheet.columns = PRICE_TIERS_COLUMNS.map(header => ({ header, key: header.toLowerCase(), width: 20 }));
+    tierRows.forEach(row => tiersSheet.addRow(row));
+    tiersSheet.getRow(1).font = { bold: true };
+  }
+  
+  // Create downloads directory if it doesn't exist
+  const downloadsDir = path.join(process.cwd(), 'downloads');
+  if (!fs.existsSync(downloadsDir)) {
+    if (!options.dryRun) {
+      logger.info('Creating downloads directory...');
+      fs.mkdirSync(downloadsDir);
+    } else {
+      logger.notice('[DRY RUN] Would create downloads directory');
+    }
+  }
+  
+  // Generate filename with current date and time
+  const now = new Date();
+  const dateStr = now.toISOString()
+    .replace(/T/, '_')
+    .replace(/\..+/, '')
+    .replace(/:/g, '-');
+  const fileName = `import_${dateStr}.${options.format}`;
+  const filePath = path.join(downloadsDir, fileName);
+  
+  // Save the workbook
+  if (!options.dryRun) {
+    logger.info(`Saving ${options.format.toUpperCase()} file as ${filePath}...`);
+    await writeWorkbook(workbook, filePath);
+    logger.success(`${options.format.toUpperCase()} file created successfully: ${filePath}`);
+  } else {
+    logger.notice(`[DRY RUN] Would save ${options.format.toUpperCase()} file as ${filePath}`);
+  }
+  
+  logger.success('Process completed successfully!');
+  
+  return { filePath, productCount: products.length };
+}
+
+/**
+ * Get the worksheet a product goes on with --groupBy
+ * 
+ * The sheet is named after the product's value of the metadata key, within
+ * Excel's limits for sheet names. Values that differ only in case share a
+ * sheet, since Excel sheet names ignore case.
+ * @param {string} [value] - The product's value of the --groupBy metadata key
+ * @param {Map} rowsBySheet - Rows added so far, by worksheet name
+ * @returns {string} - Worksheet name
+ */
+function getGroupSheetName(value, rowsBySheet) {
+  const { options, renamedGroups } = getSession();
+  if (!value) {
+    return DEFAULT_SHEET_NAME;
+  }
+  
+  let sheetName = value.replace(INVALID_SHEET_NAME_CHARACTERS, '_').slice(0, MAX_SHEET_NAME_LENGTH).trim() || DEFAULT_SHEET_NAME;
+  if (RESERVED_SHEET_NAMES.includes(sheetName.toUpperCase())) {
+    sheetName = DEFAULT_SHEET_NAME;
+  }
+  sheetName = [...rowsBySheet.keys()].find(name => name.toLowerCase() === sheetName.toLowerCase()) || sheetName;
+  
+  if (sheetName !== value && !renamedGroups.has(value)) {
+    renamedGroups.add(value);
+    logger.notice(`Warning: Products with ${options.groupBy} "${value}" are saved on sheet "${sheetName}" (their META_${options.groupBy} cells keep the exact value)`);
+  }
+  
+  return sheetName;
+}
+
+/**
+ * Build the product filters from the command-line options
+ * @returns {Object} - Filters ({ active, created, metadata, ids }); active is null to include archived products
+ */
+function getProductFilters() {
+  const { options } = getSession();
+  if (options.includeArchived && options.archivedOnly) {
+    throw new Error('--includeArchived can\'t be combined with --archivedOnly');
+  }
+  
+  const created = {};
+  if (options.createdAfter !== undefined) {
+    created.gte = parseDateOption('createdAfter');
+  }
+  if (options.createdBefore !== undefined) {
+    created.lt = parseDateOption('createdBefore');
+  }
+  if (created.gte !== undefined && created.lt !== undefined && created.gte >= created.lt) {
+    throw new Error('--createdAfter must be earlier than --createdBefore');
+  }
+  
+  return {
+    active: options.archivedOnly ? false : (options.includeArchived ? null : true),
+    created: Object.keys(created).length > 0 ? created : null,
+    metadata: (options.metadata || []).map(parseMetadataFilter),
+    ids: options.ids ? readProductIds(options.ids) : null
+  };
+}
+
+/**
+ * Parse a date option to a Unix timestamp
+ * @param {string} name - Option name, e.g. createdAfter
+ * @returns {number} - Unix timestamp in seconds
+ */
+function parseDateOption(name) {
+  const { options } = getSession();
+  const value = options[name];
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z (got "${value}")`);
+  }
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Parse a --metadata filter
+ * @param {string} filter - Filter written as key=value
+ * @returns {Object} - Metadata filter ({ key, value })
+ */
+function parseMetadataFilter(filter) {
+  const separatorIndex = filter.indexOf('=');
+  const key = separatorIndex > 0 ? filter.slice(0, separatorIndex).trim() : '';
+  const value = separatorIndex > 0 ? filter.slice(separatorIndex + 1).trim() : '';
+  if (!key || !value) {
+    throw new Error(`--metadata must be written as key=value, e.g. category=tea (got "${filter}")`);
+  }
+  return { key, value };
+}
+
+/**
+ * Read the product IDs given with --ids
+ * 
+ * Each value is a list of IDs separated by commas, or the path to a file with
+ * IDs separated by line breaks, commas or spaces. Lines starting with # are
+ * ignored.
+ * @param {Array<string>} values - Values of the --ids option
+ * @returns {Array<string>} - Product IDs, without duplicates
+ */
+function readProductIds(values) {
+  const ids = values.flatMap(value => {
+    if (fs.existsSync(value) && fs.statSync(value).isFile()) {
+      return fs.readFileSync(value, 'utf8')
+        .split(/\r?\n/)
+        .filter(line => !line.trim().startsWith('#'))
+        .flatMap(line => line.split(/[\s,]+/));
+    }
+    return value.split(',');
+  }).map(id => id.trim()).filter(id => id !== '');
+  
+  if (ids.length === 0) {
+    throw new Error('--ids must list at least one product ID, or a file that does');
+  }
+  
+  return [...new Set(ids)];
+}
+
+/**
+ * Describe the product filters for the log
+ * @param {Object} filters - Product filters
+ * @returns {Array<string>} - One description per filter
+ */
+function describeProductFilters(filters) {
+  const descriptions = [];
+  if (filters.active !== true) {
+    descriptions.push(filters.active === false ? 'archived products only' : 'active and archived products');
+  }
+  if (filters.created?.gte !== undefined) {
+    descriptions.push(`created at or after ${new Date(filters.created.gte * 1000).toISOString()}`);
+  }
+  if (filters.created?.lt !== undefined) {
+    descriptions.push(`created before ${new Date(filters.created.lt * 1000).toISOString()}`);
+  }
+  filters.metadata.forEach(({ key, value }) => descriptions.push(`metadata ${key} is "${value}"`));
+  if (filters.ids) {
+    descriptions.push(`${filters.ids.length} product ID${filters.ids.length === 1 ? '' : 's'}`);
+  }
+  return descriptions;
+}
+
+/**
+ * Fetch the products that match the filters
+ * 
+ * Products are listed with the active, created and ids parameters, or found
+ * with the search API when filtering by metadata. Stripe can't combine ids
+ * with a search, or search by creation date, so those filters are applied
+ * locally, and the limit after them.
+ * @param {Object} filters - Product filters
+ * @returns {Promise<Array>} - Array of Stripe product objects
+ */
+async function fetchProducts(filters) {
+  const { options } = getSession();
+  const stripe = getStripe();
+  const params = {};
+  if (filters.active !== null) {
+    params.active = filters.active;
+  }
+  if (filters.created) {
+    params.created = filters.created;
+  }
+  
+  if (filters.ids) {
+    // A list request with ids returns a single page, so they are requested in batches
+    const products = [];
+    for (let i = 0; i < filters.ids.length; i += MAX_IDS_PER_REQUEST) {
+      const ids = filters.ids.slice(i, i + MAX_IDS_PER_REQUEST);
+      products.push(...await fetchAllProducts(stripe, { params: { ...params, ids }, requestOptions: getRequestOptions() }));
+    }
+    
+    const foundIds = new Set(products.map(product => product.id));
+    const missingIds = filters.ids.filter(id => !foundIds.has(id));
+    if (missingIds.length > 0) {
+      logger.warn(`Warning: ${missingIds.length} of the given products weren't found or don't match the other filters: ${missingIds.join(', ')}`);
+    }
+    
+    return applyLimit(products.filter(product => matchesMetadata(product, filters.metadata)));
+  }
+  
+  if (filters.metadata.length > 0) {
+    const conditions = filters.metadata.map(({ key, value }) => `metadata['${escapeSearchValue(key)}']:'${escapeSearchValue(value)}'`);
+    if (filters.active !== null) {
+      conditions.push(`active:'${filters.active}'`);
+    }
+    const query = conditions.join(' AND ');
+    logger.debug(`Search query: ${query}`);
+    
+    if (!filters.created) {
+      return searchAllProducts(stripe, query, { limit: options.limit, requestOptions: getRequestOptions() });
+    }
+    
+    const products = await searchAllProducts(stripe, query, { requestOptions: getRequestOptions() });
+    return applyLimit(products.filter(product =>
+      (filters.created.gte === undefined || product.created >= filters.created.gte) &&
+      (filters.created.lt === undefined || product.created < filters.created.lt)));
+  }
+  
+  return fetchAllProducts(stripe, { limit: options.limit, params, requestOptions: getRequestOptions() });
+}
+
+/**
+ * Check whether a product has all the metadata values of the filters
+ * @param {Object} product - Stripe product
+ * @param {Array<Object>} metadataFilters - Metadata filters ({ key, value })
+ * @returns {boolean} - True if the product matches every filter
+ */
+function matchesMetadata(product, metadataFilters) {
+  return metadataFilters.every(({ key, value }) => product.metadata?.[key] === value);
+}
+
+/**
+ * Escape a value for a Stripe search query
+ * @param {string} value - Value to put in single quotes
+ * @returns {string} - Escaped value
+ */
+function escapeSearchValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
+}
+
+/**
+ * Keep at most --limit products of those filtered locally
+ * @param {Array} products - Array of Stripe product objects
+ * @returns {Array} - The first --limit products
+ */
+function applyLimit(products) {
+  const { options } = getSession();
+  if (products.length > options.limit) {
+    logger.notice(`Reached product limit of ${options.limit}`);
+    return products.slice(0, options.limit);
+  }
+  return products;
+}
+
+/**
+ * Fetch every price of a product, active and archived
+ * @param {Object} product - Stripe product
+ * @returns {Promise<Array>} - Array of Stripe price objects, oldest first
+ */
+async function fetchProductPrices(product) {
+  const stripe = getStripe();
+  const prices = await fetchAllPrices(stripe, {
+    params: {
+      product: product.id,
+      expand: ['data.currency_options', 'data.tiers']
+    },
+    quiet: true,
+    requestOptions: getRequestOptions()
+  });
+  
+  return prices.sort((a, b) => a.created - b.created);
+}
+
+/**
+ * Get the price exported in a product's row
+ * 
+ * This is the product's default price. Products created elsewhere may have
+ * none, in which case their oldest active price is used, or for archived
+ * products, their newest price.
+ * @param {Object} product - Stripe product
+ * @param {Array<Object>} prices - The product's prices, oldest first
+ * @returns {Object|null} - Stripe price object, or null if the product has no price to export
+ */
+function getMainPrice(product, prices) {
+  const defaultPriceId = product.default_price && typeof product.default_price === 'object'
+    ? product.default_price.id
+    : product.default_price;
+  const defaultPrice = prices.find(price => price.id === defaultPriceId);
+  if (defaultPrice) {
+    return defaultPrice;
+  }
+  
+  const activePrices = prices.filter(price => price.active);
+  if (activePrices.length > 1) {
+    logger.warn(`Warning: Product ${product.id} has ${activePrices.length} active prices but no default price; exporting the oldest, ${activePrices[0].id}, in its row`);
+  }
+  if (activePrices.length > 0) {
+    return activePrices[0];
+  }
+  
+  return !product.active && prices.length > 0 ? prices[prices.length - 1] : null;
+}
+
+/**
+ * Fetch the active payment links, keyed by the ID of the price they sell
+ * 
+ * Links that sell several prices are listed under each of them. Without
+ * permission to read payment links, they are left out of the file.
+ * @returns {Promise<Map>} - Arrays of Stripe payment link objects by price ID, newest first
+ */
+async function fetchPaymentLinksByPrice() {
+  const stripe = getStripe();
+  const linksByPrice = new Map();
+  
+  let links;
+  try {
+    links = await fetchAllPaymentLinks(stripe, {
+      params: { active: true, expand: ['data.line_items'] },
+      quiet: true,
+      requestOptions: getRequestOptions()
+    });
+  } catch (error) {
+    logger.warn(`Warning: Failed to fetch payment links, so they are not exported: ${error.message}`);
+    return linksByPrice;
+  }
+  
+  links.forEach(link => {
+    link.line_items.data.forEach(item => {
+      if (!linksByPrice.has(item.price.id)) {
+        linksByPrice.set(item.price.id, []);
+      }
+      linksByPrice.get(item.price.id).push(link);
+    });
+  });
+  
+  if (links.length > 0) {
+    logger.debug(`Found ${links.length} active payment links`);
+  }
+  return linksByPrice;
+}
+
+/**
+ * Get the payment link column values of a product row
+ * @param {Object} link - Stripe payment link object
+ * @returns {Object} - Row values keyed by lowercase column name
+ */
+function getPaymentLinkValues(link) {
+  const { quantityAdjustable, successUrl } = getPaymentLinkSettings(link);
+  return {
+    payment_link: link.url,
+    stripe_payment_link_id: link.id,
+    // Links created elsewhere don't record it, so the uploader leaves it as it is
+    quantity_adjustable: quantityAdjustable === null ? '' : (quantityAdjustable ? 'TRUE' : 'FALSE'),
+    success_url: successUrl || ''
+  };
+}
+
+/**
+ * Get the PRICES worksheet row for a price
+ * @param {Object} price - Stripe price object
+ * @param {string} productCode - Product code of the price's product
+ * @param {Map} paymentLinksByPrice - Active payment links by price ID
+ * @returns {Object} - Row values keyed by lowercase column name
+ */
+function getPriceRow(price, productCode, paymentLinksByPrice) {
+  const recurringValues = getRecurringValues(price);
+  
+  return {
+    code: productCode,
+    stripe_price_id: price.id,
+    nickname: price.nickname || '',
+    currency: price.currency.toUpperCase(),
+    // Tiered prices have no unit amount
+    amount: price.billing_scheme === 'tiered' ? '' : formatStripeAmount(price.unit_amount, price.currency),
+    type: price.type,
+    interval: recurringValues.INTERVAL ?? '',
+    interval_count: recurringValues.INTERVAL_COUNT ?? '',
+    usage_type: recurringValues.USAGE_TYPE ?? '',
+    trial_days: recurringValues.TRIAL_DAYS ?? '',
+    active: price.active ? 'TRUE' : 'FALSE',
+    lookup_key: price.lookup_key || '',
+    payment_link: (paymentLinksByPrice.get(price.id) || []).map(link => link.url).join(' ')
+  };
+}
+
+/**
+ * Get the product attribute column values for a product
+ * @param {Object} product - Stripe product object
+ * @returns {Object} - Row values keyed by lowercase column name
+ */
+function getProductAttributeValues(product) {
+  const dimensions = product.package_dimensions;
+  const taxCode = product.tax_code && typeof product.tax_code === 'object' ? product.tax_code.id : product.tax_code;
+  
+  return {
+    tax_code: taxCode || '',
+    unit_label: product.unit_label || '',
+    statement_descriptor: product.statement_descriptor || '',
+    shippable: typeof product.shippable === 'boolean' ? product.shippable : '',
+    package_height: dimensions ? dimensions.height : '',
+    package_length: dimensions ? dimensions.length : '',
+    package_weight: dimensions ? dimensions.weight : '',
+    package_width: dimensions ? dimensions.width : '',
+    url: product.url || '',
+    marketing_features: (product.marketing_features || [])
+      .map(feature => feature.name)
+      .join(MARKETING_FEATURES_SEPARATOR)
+  };
+}
+
+/**
+ * Get the PRICE_TIERS rows for a tiered price
+ * @param {Object} price - Stripe price object (with tiers expanded)
+ * @param {string} productCode - Product code the tiers are keyed by
+ * @returns {Array<Object>} - Worksheet rows, one per tier
+ */
+function getPriceTierRows(price, productCode) {
+  return (price.tiers || []).map((tier, index) => ({
+    code: productCode,
+    // The uploader only needs the mode on the first tier of each product
+    tiers_mode: index === 0 ? price.tiers_mode : '',
+    up_to: tier.up_to ?? 'inf',
+    unit_amount: tier.unit_amount !== null ? formatStripeAmount(tier.unit_amount, price.currency) : '',
+    flat_amount: tier.flat_amount !== null ? formatStripeAmount(tier.flat_amount, price.currency) : ''
+  }));
+}
+
+/**
+ * Get the recurring column values for a price
+ * @param {Object|null} price - Stripe price object
+ * @returns {Object} - Cell values keyed by column name, null for one-time prices
+ */
+function getRecurringValues(price) {
+  const recurring = price?.recurring;
+  
+  return {
+    INTERVAL: recurring ? recurring.interval : null,
+    INTERVAL_COUNT: recurring ? recurring.interval_count : null,
+    USAGE_TYPE: recurring ? recurring.usage_type : null,
+    TRIAL_DAYS: recurring?.trial_period_days ?? null
+  };
+}
+
+/**
+ * Read the image manifest, which records the URL each image was downloaded from
+ * @returns {Object} - Manifest entries ({ url, etag, lastModified }) keyed by filename
+ */
+function readImageManifest() {
+  const manifestPath = path.join(IMAGES_DIR, IMAGE_MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    logger.warn(`Warning: Ignoring unreadable image manifest ${manifestPath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save the image manifest
+ * @param {Object} manifest - Manifest entries keyed by filename
+ */
+function writeImageManifest(manifest) {
+  if (Object.keys(manifest).length === 0) {
+    return;
+  }
+  
+  fs.writeFileSync(path.join(IMAGES_DIR, IMAGE_MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Get the filename of a product image, without extension
+ * 
+ * The first image keeps the plain name and later ones get their position
+ * appended (CODE, CODE_2, ...). Products without a product code are named
+ * after their product ID, so the names are the same on every download. Codes
+ * that only differ in characters that can't be used in filenames, such as
+ * A-1 and A/1, get the product ID appended to the second one.
+ * @param {Object} product - Stripe product
+ * @param {string} productCode - Product code, or an empty string
+ * @param {number} index - Position of the image in the product's images
+ * @returns {string} - Filename without extension
+ */
+function getImageBaseName(product, productCode, index) {
+  const { imageNameOwners } = getSession();
+  const indexSuffix = index > 0 ? `_${index + 1}` : '';
+  const name = productCode ? productCode.replace(/[^a-zA-Z0-9]/g, '_') : product.id;
+  let baseName = `${name}${indexSuffix}`;
+  
+  const owner = imageNameOwners.get(baseName);
+  if (owner && owner !== product.id) {
+    logger.warn(`Warning: Products ${owner} and ${product.id} both have images named ${baseName}; saving the second one as ${baseName}_${product.id}`);
+    baseName = `${baseName}_${product.id}`;
+  }
+  imageNameOwners.set(baseName, product.id);
+  
+  return baseName;
+}
+
+/**
+ * Download a product image from URL
+ * 
+ * Images already in the manifest are requested with their ETag or
+ * Last-Modified date, and kept as they are when the server says they haven't
+ * changed. A 304 response for an image that isn't saved is downloaded again
+ * in full. The file extension comes from the response's Content-Type, or
+ * else from the image's content.
+ * @param {string} imageUrl - URL of the image
+ * @param {Object} product - Stripe product the image belongs to
+ * @param {string} productCode - Product code to use in the filename
+ * @param {number} index - Position of the image in the product's images
+ * @param {Object} manifest - Image manifest, updated with the downloaded image
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @returns {Promise<string>} - Filename of the downloaded image
+ */
+async function downloadProductImage(imageUrl, product, productCode, index, manifest, dryRun) {
+  const baseName = getImageBaseName(product, productCode, index);
+  
+  // The file downloaded from the same URL under this name, if it's still there
+  const savedFileNames = Object.keys(manifest).filter(fileName => path.parse(fileName).name === baseName);
+  const cachedFileName = savedFileNames.find(fileName => manifest[fileName].url === imageUrl &&
+    fs.existsSync(path.join(IMAGES_DIR, fileName)));
+  const cached = cachedFileName ? manifest[cachedFileName] : null;
+  
+  if (dryRun) {
+    const fileName = cachedFileName || `${baseName}${getUrlExtension(imageUrl) || IMAGE_TYPES.jpeg.ext}`;
+    logger.notice(`[DRY RUN] Would download image from ${imageUrl} to ${path.join(IMAGES_DIR, fileName)}`);
+    return fileName;
+  }
+  
+  logger.debug(`Downloading image from ${imageUrl}`);
+  
+  const headers = {};
+  if (cached?.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+  if (cached?.lastModified) {
+    headers['If-Modified-Since'] = cached.lastModified;
+  }
+  
+  let response = await fetchImage(imageUrl, headers);
+  if (response.statusCode === 304 && cachedFileName) {
+    logger.debug(`Image unchanged, kept ${path.join(IMAGES_DIR, cachedFileName)}`);
+    return cachedFileName;
+  }
+  
+  // Without a saved copy to keep, the whole image is needed, e.g. when a cache
+  // along the way answered a request that wasn't conditional
+  if (response.statusCode === 304) {
+    response = await fetchImage(imageUrl, { 'Cache-Control': 'no-cache' });
+    if (response.statusCode === 304) {
+      throw new Error('Failed to download image: HTTP status 304 without a saved copy');
+    }
+  }
+  
+  const type = getContentImageType(response.headers['content-type']) || detectImageType(response.data);
+  const fileName = `${baseName}${type ? IMAGE_TYPES[type].ext : getUrlExtension(imageUrl) || IMAGE_TYPES.jpeg.ext}`;
+  const filePath = path.join(IMAGES_DIR, fileName);
+  
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath).equals(response.data)) {
+    logger.debug(`Image unchanged, kept ${filePath}`);
+  } else {
+    fs.writeFileSync(filePath, response.data);
+    logger.success(`Image downloaded successfully: ${filePath}`);
+  }
+  
+  // An image saved with another extension before is no longer this product's image
+  savedFileNames.forEach(savedFileName => delete manifest[savedFileName]);
+  manifest[fileName] = {
+    url: imageUrl,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null
+  };
+  
+  return fileName;
+}
+
+/**
+ * Get the image file extension of a URL's path
+ * @param {string} imageUrl - URL of the image
+ * @returns {string|null} - Extension such as ".png", or null if the URL has no image extension
+ */
+function getUrlExtension(imageUrl) {
+  const ext = path.extname(new URL(imageUrl).pathname).toLowerCase();
+  if (ext === '.jpeg') {
+    return IMAGE_TYPES.jpeg.ext;
+  }
+  return Object.values(IMAGE_TYPES).some(imageType => imageType.ext === ext) ? ext : null;
+}
+
+/**
+ * Fetch an image over HTTPS, following redirects
+ * @param {string} imageUrl - URL of the image
+ * @param {Object} headers - Request headers, e.g. If-None-Match
+ * @param {number} [redirects] - Number of redirects followed so far
+ * @returns {Promise<Object>} - The response ({ statusCode, headers, data }); data is empty for 304 responses
+ */
+function fetchImage(imageUrl, headers, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    https.get(imageUrl, { headers }, (response) => {
+      const { statusCode } = response;
+      
+      if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`Failed to download image: more than ${MAX_REDIRECTS} redirects`));
+          return;
+        }
+        resolve(fetchImage(new URL(response.headers.location, imageUrl).href, headers, redirects + 1));
+        return;
+      }
+      
+      if (statusCode !== 200 && statusCode !== 304) {
+        response.resume();
+        reject(new Error(`Failed to download image: HTTP status ${statusCode}`));
+        return;
+      }
+      
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ statusCode, headers: response.headers, data: Buffer.concat(chunks) }));
+      response.on('error', err => reject(new Error(`Failed to download image: ${err.message}`)));
+    }).on('error', (err) => {
+      reject(new Error(`Failed to download image: ${err.message}`));
+    });
+  });
+}
+
+/**
+ * Download the products from Stripe to a new file in the downloads folder
+ * @param {Object} options - Options ({ stripe, account, limit, format, groupBy, includeArchived, archivedOnly, createdAfter, createdBefore, metadata, ids, dryRun, logger, onProgress })
+ * @returns {Promise<Object>} - The file and the number of products in it ({ filePath, productCount })
+ */
+async function downloadCatalog(options) {
+  const { stripe, logger: sessionLogger, onProgress, ...commandOptions } = options || {};
+  const accounts = parseAccounts(commandOptions.account);
+  if (accounts.length > 1) {
+    throw new Error('--account takes a single connected account for a download');
+  }
+  
+  return runSession({
+    options: { ...DEFAULT_OPTIONS, ...commandOptions },
+    stripe,
+    account: accounts[0] || null,
+    logger: sessionLogger,
+    onProgress,
+    renamedGroups: new Set(),
+    imageNameOwners: new Map()
+  }, download);
+}
+
+module.exports = {
+  downloadCatalog
+};
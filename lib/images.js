@@ -0,0 +1,223 @@
+/**
+ * Images
+ * 
+ * Detects the type of image files from their content rather than their file
+ * extension, and converts or resizes the images Stripe doesn't accept as
+ * product images. Conversion uses the optional sharp package; JPEG, PNG and
+ * GIF files within the size limit are uploaded as they are, without it.
+ */
+
+const fs = require('fs');
+
+// Image types Stripe accepts for product images
+const STRIPE_IMAGE_TYPES = ['jpeg', 'png', 'gif'];
+
+// Largest image uploaded as it is; bigger images are resized to fit
+const MAX_IMAGE_SIZE = 2 * 1024 * 1024;
+
+// File extension and MIME type of each image type that can be read
+const IMAGE_TYPES = {
+  jpeg: { ext: '.jpg', mimeType: 'image/jpeg', label: 'JPEG' },
+  png: { ext: '.png', mimeType: 'image/png', label: 'PNG' },
+  gif: { ext: '.gif', mimeType: 'image/gif', label: 'GIF' },
+  webp: { ext: '.webp', mimeType: 'image/webp', label: 'WebP' },
+  heic: { ext: '.heic', mimeType: 'image/heic', label: 'HEIC' },
+  avif: { ext: '.avif', mimeType: 'image/avif', label: 'AVIF' },
+  tiff: { ext: '.tif', mimeType: 'image/tiff', label: 'TIFF' },
+  svg: { ext: '.svg', mimeType: 'image/svg+xml', label: 'SVG' }
+};
+
+// Number of bytes read from the start of a file to detect its type
+const HEADER_SIZE = 1024;
+
+// HEIF brands (in the ftyp box) of AVIF images; the other brands are HEIC
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1', ...AVIF_BRANDS];
+
+// An SVG document, optionally after an XML declaration, comments and a doctype
+const SVG_PATTERN = /^(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i;
+
+// Widths tried when resizing an image, as a fraction of its own width
+const RESIZE_SCALES = [1, 0.75, 0.5, 0.35, 0.25];
+
+// The sharp module, loaded when first needed (null if it isn't installed)
+let sharpModule;
+
+/**
+ * Detect the type of an image from its first bytes
+ * @param {Buffer} buffer - Start of the file (at least HEADER_SIZE bytes, or the whole file)
+ * @returns {string|null} - Key of IMAGE_TYPES, or null if the content isn't a known image type
+ */
+function detectImageType(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'png';
+  }
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    return 'gif';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (ascii(4, 8) === 'ftyp' && HEIF_BRANDS.includes(ascii(8, 12))) {
+    return AVIF_BRANDS.includes(ascii(8, 12)) ? 'avif' : 'heic';
+  }
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') {
+    return 'tiff';
+  }
+  
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  return SVG_PATTERN.test(text) ? 'svg' : null;
+}
+
+/**
+ * Detect the type of an image file from its content
+ * @param {string} filePath - Path to the image file
+ * @returns {string|null} - Key of IMAGE_TYPES, or null if the content isn't a known image type
+ */
+function readImageType(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const bytesRead = fs.readSync(fd, buffer, 0, HEADER_SIZE, 0);
+    return detectImageType(buffer.subarray(0, bytesRead));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Get the image type of a Content-Type header
+ * @param {string} [contentType] - Content-Type header, e.g. "image/png; charset=binary"
+ * @returns {string|null} - Key of IMAGE_TYPES, or null if the header isn't a known image type
+ */
+function getContentImageType(contentType) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  const match = Object.keys(IMAGE_TYPES).find(type => IMAGE_TYPES[type].mimeType === mimeType);
+  return match || (mimeType === 'image/jpg' ? 'jpeg' : null);
+}
+
+/**
+ * Check whether an image must be converted or resized before Stripe accepts it
+ * @param {string} type - Key of IMAGE_TYPES
+ * @param {number} size - File size in bytes
+ * @returns {boolean} - True if the image isn't a type Stripe accepts, or is too large
+ */
+function needsConversion(type, size) {
+  return !STRIPE_IMAGE_TYPES.includes(type) || size > MAX_IMAGE_SIZE;
+}
+
+/**
+ * Load the optional sharp package
+ * @returns {Function|null} - The sharp module, or null if it isn't installed
+ */
+function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+/**
+ * Check whether images can be converted, i.e. whether sharp is installed
+ * @returns {boolean} - True if images can be converted and resized
+ */
+function canConvertImages() {
+  return loadSharp() !== null;
+}
+
+/**
+ * Read an image file and convert it to a type and size Stripe accepts
+ * 
+ * Images with transparency are converted to PNG and other images to JPEG.
+ * Images over the size limit are scaled down until they fit.
+ * @param {string} filePath - Path to the image file
+ * @returns {Promise<Object>} - The image to upload ({ data, type, converted }), type being a key of IMAGE_TYPES
+ */
+async function prepareImage(filePath) {
+  const data = fs.readFileSync(filePath);
+  const type = detectImageType(data.subarray(0, HEADER_SIZE));
+  if (!type) {
+    throw new Error(`${filePath} is not a ${describeImageTypes()} image`);
+  }
+  
+  if (!needsConversion(type, data.length)) {
+    return { data, type, converted: false };
+  }
+  
+  const sharp = loadSharp();
+  const reason = STRIPE_IMAGE_TYPES.includes(type)
+    ? `is larger than ${formatSize(MAX_IMAGE_SIZE)}`
+    : `is a ${IMAGE_TYPES[type].label} image, which Stripe doesn't accept`;
+  if (!sharp) {
+    throw new Error(`${filePath} ${reason}; install the sharp package (npm install sharp) to convert it`);
+  }
+  
+  try {
+    const metadata = await sharp(data).metadata();
+    const outputType = metadata.hasAlpha ? 'png' : 'jpeg';
+    
+    for (const scale of RESIZE_SCALES) {
+      // rotate() applies the EXIF orientation, which is dropped on conversion
+      let image = sharp(data).rotate();
+      if (scale < 1 && metadata.width) {
+        image = image.resize({ width: Math.max(1, Math.round(metadata.width * scale)) });
+      }
+      
+      const output = await (outputType === 'png'
+        ? image.png({ compressionLevel: 9 })
+        : image.jpeg({ quality: 85, mozjpeg: true })
+      ).toBuffer();
+      
+      if (output.length <= MAX_IMAGE_SIZE) {
+        return { data: output, type: outputType, converted: true };
+      }
+    }
+  } catch (error) {
+    throw new Error(`${filePath} ${reason}, and converting it failed: ${error.message}`);
+  }
+  
+  throw new Error(`${filePath} is still larger than ${formatSize(MAX_IMAGE_SIZE)} after resizing it to a quarter of its width`);
+}
+
+/**
+ * List the readable image types for messages
+ * @returns {string} - Labels of the image types, e.g. "JPEG, PNG or GIF"
+ */
+function describeImageTypes() {
+  const labels = Object.values(IMAGE_TYPES).map(imageType => imageType.label);
+  return `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Format a number of bytes for messages
+ * @param {number} size - Size in bytes
+ * @returns {string} - Size in MB, e.g. "2 MB"
+ */
+function formatSize(size) {
+  return `${Math.round(size / 1024 / 1024 * 10) / 10} MB`;
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  detectImageType,
+  readImageType,
+  getContentImageType,
+  needsConversion,
+  canConvertImages,
+  prepareImage,
+  describeImageTypes,
+  formatSize
+};
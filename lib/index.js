@@ -0,0 +1,20 @@
+/**
+ * Stripe Product Uploader
+ * 
+ * The uploader and downloader as a library. Each function takes an options
+ * object with the Stripe client to use (stripe), the options of the matching
+ * command-line command, an optional logger (e.g. console) and an optional
+ * onProgress callback, and returns its result instead of printing it.
+ */
+
+const { readCatalog, validateCatalog, planCatalog, uploadCatalog, rollbackRun } = require('./uploader');
+const { downloadCatalog } = require('./downloader');
+
+module.exports = {
+  readCatalog,
+  validateCatalog,
+  planCatalog,
+  uploadCatalog,
+  rollbackRun,
+  downloadCatalog
+};
@@ -0,0 +1,177 @@
+/**
+ * Locale Amounts
+ * 
+ * Parses amounts written as text, such as "$12.99" or "€1.234,50". Currency
+ * symbols and codes are stripped, and thousands separators are accepted in
+ * the positions the locale puts them. Values that could be read in more than
+ * one way are rejected rather than guessed.
+ */
+
+// Currency symbols that stand for a single currency. Others, like $ and ¥,
+// are used by several currencies and are accepted with any currency.
+const CURRENCY_SYMBOLS = {
+  '€': 'eur',
+  '£': 'gbp',
+  '₹': 'inr',
+  '₩': 'krw'
+};
+
+// A currency symbol (optionally with a country prefix, e.g. US$) or a
+// three-letter code, before or after the number
+const CURRENCY_PREFIX_PATTERN = /^(?:([A-Z]{0,3})(\p{Sc})|([A-Z]{3})(?![A-Z]))\s*/u;
+const CURRENCY_SUFFIX_PATTERN = /\s*(?:([A-Z]{0,3})(\p{Sc})|(?<![A-Z])([A-Z]{3}))$/u;
+
+// Separators and group sizes by locale
+const localeFormats = new Map();
+
+/**
+ * Check whether a locale is supported for number parsing
+ * @param {string} locale - BCP 47 locale, e.g. de-DE
+ * @returns {boolean} - True if the locale is supported
+ */
+function isSupportedLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the number format of a locale
+ * @param {string} locale - BCP 47 locale, e.g. de-DE
+ * @returns {Object} - Number format ({ decimal, group, groupSize, secondaryGroupSize, example })
+ */
+function getLocaleFormat(locale) {
+  if (!localeFormats.has(locale)) {
+    const formatter = new Intl.NumberFormat(locale, { useGrouping: true, minimumFractionDigits: 2 });
+    const parts = formatter.formatToParts(1234567.5);
+    const integers = parts.filter(part => part.type === 'integer').map(part => part.value);
+    
+    localeFormats.set(locale, {
+      decimal: parts.find(part => part.type === 'decimal').value,
+      group: normalizeSeparator(parts.find(part => part.type === 'group')?.value ?? ''),
+      groupSize: integers[integers.length - 1].length,
+      secondaryGroupSize: integers.length > 2 ? integers[integers.length - 2].length : integers[integers.length - 1].length,
+      example: formatter.format(1234.5)
+    });
+  }
+  
+  return localeFormats.get(locale);
+}
+
+/**
+ * Normalize a separator so that the different spaces and apostrophes match
+ * @param {string} text - Separator or text to normalize
+ * @returns {string} - The text with spaces as ' ' and apostrophes as '’'
+ */
+function normalizeSeparator(text) {
+  return text.replace(/\s/g, ' ').replace(/'/g, '’');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Strip a currency symbol or code from an amount
+ * @param {string} text - Amount text
+ * @returns {Object} - The number text and the currency it was written in, if known ({ text, currency })
+ */
+function stripCurrency(text) {
+  let currency = null;
+  let negative = false;
+  let rest = text;
+  
+  if (rest.startsWith('-')) {
+    negative = true;
+    rest = rest.slice(1).trimStart();
+  }
+  
+  [CURRENCY_PREFIX_PATTERN, CURRENCY_SUFFIX_PATTERN].forEach(pattern => {
+    const match = rest.match(pattern);
+    if (match) {
+      const [affix, prefix, symbol, code] = match;
+      if (code) {
+        currency = code.toLowerCase();
+      } else if (!prefix && CURRENCY_SYMBOLS[symbol]) {
+        currency = CURRENCY_SYMBOLS[symbol];
+      }
+      rest = pattern === CURRENCY_PREFIX_PATTERN ? rest.slice(affix.length) : rest.slice(0, rest.length - affix.length);
+    }
+  });
+  
+  if (!negative && rest.startsWith('-')) {
+    negative = true;
+    rest = rest.slice(1);
+  }
+  
+  return { text: negative ? `-${rest}` : rest, currency };
+}
+
+/**
+ * Parse an amount written as text
+ * @param {*} value - Cell value: a number, or text such as "$1,234.50"
+ * @param {Object} [options] - Options
+ * @param {string} [options.locale] - Locale of the number format (without one, only "." is accepted as decimal separator, and "," only as thousands separator before a ".")
+ * @param {string} [options.currency] - Currency of the amount; a different currency symbol or code is rejected
+ * @returns {number} - The amount
+ * @throws {Error} - With a message such as 'must be a number', if the value can't be read unambiguously
+ */
+function parseLocaleAmount(value, options = {}) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error('must be a number');
+    }
+    return value;
+  }
+  
+  const stripped = stripCurrency((value ?? '').toString().trim());
+  if (stripped.currency && options.currency && stripped.currency !== options.currency.toLowerCase()) {
+    throw new Error(`is written in ${stripped.currency.toUpperCase()}, but the price is in ${options.currency.toUpperCase()}`);
+  }
+  
+  const negative = stripped.text.startsWith('-');
+  const text = normalizeSeparator(negative ? stripped.text.slice(1) : stripped.text);
+  if (!/\d/.test(text)) {
+    throw new Error('must be a number');
+  }
+  
+  const format = options.locale ? getLocaleFormat(options.locale) : null;
+  let decimal = '.';
+  let group = ',';
+  if (format) {
+    ({ decimal, group } = format);
+  } else if (text.includes(',') && !text.includes('.')) {
+    throw new Error(`is ambiguous: the "," in "${value}" could be a decimal or thousands separator (set a locale in the mapping file)`);
+  }
+  
+  // Digits with an optional fraction, or groups in the locale's sizes, e.g.
+  // 1,234,567 (en-US) or 12,34,567 (en-IN)
+  const groupSize = format ? format.groupSize : 3;
+  const secondaryGroupSize = format ? format.secondaryGroupSize : 3;
+  const groupPattern = group
+    ? `|\\d{1,${secondaryGroupSize}}(?:${escapeRegExp(group)}\\d{${secondaryGroupSize}})*${escapeRegExp(group)}\\d{${groupSize}}`
+    : '';
+  const numberPattern = new RegExp(`^(?:\\d+${groupPattern})(?:${escapeRegExp(decimal)}\\d+)?$`);
+  
+  if (!numberPattern.test(text)) {
+    throw new Error(format
+      ? `must be written in the number format of ${options.locale}, e.g. ${format.example} (got "${value}")`
+      : `must be a number like 1234.50 or 1,234.50 (got "${value}"; set a locale in the mapping file for other formats)`);
+  }
+  
+  const digits = group ? text.split(group).join('') : text;
+  const amount = Number(digits.replace(decimal, '.'));
+  return negative ? -amount : amount;
+}
+
+module.exports = {
+  isSupportedLocale,
+  parseLocaleAmount
+};
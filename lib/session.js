@@ -0,0 +1,101 @@
+/**
+ * Session
+ * 
+ * Holds the state of the catalog command being run: its options, the Stripe
+ * client, the connected account it works on, the logger and the progress
+ * callback. The state follows the
+ * command through every async call, so several commands can run at the same
+ * time in one process without sharing any of it.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Methods of a logger: plain messages, the steps of a command, details,
+// completed actions, messages to point out (e.g. dry runs), warnings and errors
+const LOG_LEVELS = ['log', 'info', 'debug', 'success', 'notice', 'warn', 'error'];
+
+// Logger used when none is given, which discards all output
+const SILENT_LOGGER = Object.freeze({
+  log: () => {},
+  warn: () => {},
+  error: () => {}
+});
+
+// State of the command running in the current async context
+const sessions = new AsyncLocalStorage();
+
+/**
+ * Run a command with its own session state
+ * @param {Object} state - Session state ({ options, stripe, account, logger, onProgress, ... })
+ * @param {Function} fn - Async function that runs the command
+ * @returns {Promise<*>} - Result of the function
+ */
+function runSession(state, fn) {
+  return sessions.run({
+    ...state,
+    stripe: state.stripe || null,
+    account: state.account || null,
+    logger: completeLogger(state.logger || SILENT_LOGGER),
+    onProgress: state.onProgress || (() => {})
+  }, fn);
+}
+
+/**
+ * Fill in the methods a logger leaves out
+ * 
+ * Loggers only need log, warn and error, like console. Messages for the
+ * other levels go to log.
+ * @param {Object} logger - Logger given to the command
+ * @returns {Object} - Logger with a method for every level in LOG_LEVELS
+ */
+function completeLogger(logger) {
+  return Object.fromEntries(LOG_LEVELS.map(level => [
+    level,
+    typeof logger[level] === 'function' ? (...args) => logger[level](...args) : (...args) => logger.log(...args)
+  ]));
+}
+
+/**
+ * Get the state of the command being run
+ * @returns {Object} - Session state
+ */
+function getSession() {
+  const session = sessions.getStore();
+  if (!session) {
+    throw new Error('No catalog command is running; call the library functions instead of its helpers');
+  }
+  return session;
+}
+
+/**
+ * Get the Stripe client of the command being run
+ * @returns {Stripe} - Stripe client
+ */
+function getStripe() {
+  const { stripe } = getSession();
+  if (!stripe) {
+    throw new Error('A Stripe client is required (pass it as the stripe option)');
+  }
+  return stripe;
+}
+
+/**
+ * Get the options of a Stripe request, for the connected account of the command
+ * @param {Object} [requestOptions] - Other request options, e.g. { idempotencyKey }
+ * @returns {Object} - Request options, with the Stripe-Account header for connected accounts
+ */
+function getRequestOptions(requestOptions = {}) {
+  const { account } = getSession();
+  // stripeAccount is always set, even to undefined, so that the Stripe client
+  // tells the options apart from the request parameters
+  return { ...requestOptions, stripeAccount: account || undefined };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  SILENT_LOGGER,
+  runSession,
+  getSession,
+  getStripe,
+  getRequestOptions
+};
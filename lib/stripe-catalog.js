@@ -0,0 +1,126 @@
+/**
+ * Stripe Catalog
+ * 
+ * Helpers shared by the uploader and the downloader for reading the product
+ * catalog from Stripe.
+ */
+
+const { getSession } = require('./session');
+
+// Stripe's max page size for list requests
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Fetch a list of Stripe objects, following pagination
+ * 
+ * List results are paged by the ID of the last object, and search results by
+ * the page token Stripe returns with them.
+ * @param {Function} listPage - Function that fetches one page, given the list parameters
+ * @param {Object} options - Options ({ limit, params, request, quiet, label })
+ * @returns {Promise<Array>} - Array of Stripe objects
+ */
+async function fetchAll(listPage, options) {
+  const {
+    limit = Infinity,
+    params = {},
+    request = send => send(),
+    quiet = false,
+    label = 'objects'
+  } = options;
+  
+  const logger = quiet ? null : getSession().logger;
+  const objects = [];
+  let hasMore = true;
+  let startingAfter = null;
+  let nextPage = null;
+  const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+  
+  while (hasMore && objects.length < limit) {
+    const pageParams = {
+      ...params,
+      limit: pageSize,
+    };
+    
+    if (nextPage) {
+      pageParams.page = nextPage;
+    } else if (startingAfter) {
+      pageParams.starting_after = startingAfter;
+    }
+    
+    const response = await request(() => listPage(pageParams));
+    
+    objects.push(...response.data);
+    hasMore = response.has_more;
+    
+    if (response.next_page) {
+      nextPage = response.next_page;
+    } else if (response.data.length > 0) {
+      startingAfter = response.data[response.data.length - 1].id;
+    }
+    
+    logger?.debug(`Fetched ${response.data.length} ${label} (total: ${objects.length})`);
+    
+    if (objects.length >= limit) {
+      logger?.notice(`Reached ${label.replace(/s$/, '')} limit of ${limit}`);
+      break;
+    }
+  }
+  
+  return objects;
+}
+
+/**
+ * Fetch products from Stripe, following pagination
+ * @param {Stripe} stripe - Stripe client
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Maximum number of products to fetch (defaults to all)
+ * @param {Object} [options.params] - Extra list parameters, e.g. { active: true }
+ * @param {Function} [options.request] - Wrapper that sends each request, e.g. to retry it
+ * @param {boolean} [options.quiet] - Don't log the progress to the command's logger
+ * @param {Object} [options.requestOptions] - Stripe request options, e.g. { stripeAccount }
+ * @returns {Promise<Array>} - Array of Stripe product objects
+ */
+async function fetchAllProducts(stripe, options = {}) {
+  return fetchAll(params => stripe.products.list(params, options.requestOptions), { ...options, label: 'products' });
+}
+
+/**
+ * Search products in Stripe, following pagination
+ * 
+ * Search results can take up to a minute to reflect changes, and search isn't
+ * available to accounts in India.
+ * @param {Stripe} stripe - Stripe client
+ * @param {string} query - Search query, e.g. metadata['category']:'tea' AND active:'true'
+ * @param {Object} [options] - Same options as fetchAllProducts
+ * @returns {Promise<Array>} - Array of Stripe product objects
+ */
+async function searchAllProducts(stripe, query, options = {}) {
+  return fetchAll(params => stripe.products.search({ ...params, query }, options.requestOptions), { ...options, label: 'products' });
+}
+
+/**
+ * Fetch prices from Stripe, following pagination
+ * @param {Stripe} stripe - Stripe client
+ * @param {Object} [options] - Same options as fetchAllProducts
+ * @returns {Promise<Array>} - Array of Stripe price objects
+ */
+async function fetchAllPrices(stripe, options = {}) {
+  return fetchAll(params => stripe.prices.list(params, options.requestOptions), { ...options, label: 'prices' });
+}
+
+/**
+ * Fetch payment links from Stripe, following pagination
+ * @param {Stripe} stripe - Stripe client
+ * @param {Object} [options] - Same options as fetchAllProducts
+ * @returns {Promise<Array>} - Array of Stripe payment link objects
+ */
+async function fetchAllPaymentLinks(stripe, options = {}) {
+  return fetchAll(params => stripe.paymentLinks.list(params, options.requestOptions), { ...options, label: 'payment links' });
+}
+
+module.exports = {
+  fetchAllProducts,
+  searchAllProducts,
+  fetchAllPrices,
+  fetchAllPaymentLinks
+};
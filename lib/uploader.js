@@ -0,0 +1,4028 @@
+/**
+ * Uploader
+ * 
+ * Reads product data from an Excel, CSV or JSON file and creates or updates
+ * the products and prices in Stripe, then writes their IDs back to the file.
+ * The commands of the uploader script are available as functions:
+ * 
+ *   readCatalog     - Read the products of a file, with the problems of each row
+ *   validateCatalog - Check a file for problems without connecting to Stripe
+ *   planCatalog     - Compare a file against Stripe and list what an upload would change
+ *   uploadCatalog   - Upload a file to Stripe
+ *   rollbackRun     - Undo an upload from its journal
+ * 
+ * Each function takes the options of the matching command (e.g. file, update,
+ * dryRun), plus the Stripe client (stripe), an optional logger with log, warn
+ * and error methods, and an optional onProgress callback. Errors are thrown,
+ * never printed, and nothing is written to the console unless the logger does.
+ * With prune, a confirm callback is asked before archiving, unless yes is set.
+ * With account (one or more Stripe Connect account IDs), every request is sent
+ * to the connected accounts instead of the platform account.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { fetchAllProducts, fetchAllPrices } = require('./stripe-catalog');
+const { getWorkbookFormat, readWorkbook, writeWorkbook, checkWorkbookWritable, listWorkbookFiles } = require('./workbook-io');
+const { loadColumnMapping, mapHeader, findMappedHeader } = require('./column-mapping');
+const { parseLocaleAmount } = require('./locale-amounts');
+const {
+  IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  readImageType,
+  needsConversion,
+  canConvertImages,
+  prepareImage,
+  describeImageTypes,
+  formatSize
+} = require('./images');
+const {
+  REQUIRED_COLUMNS,
+  STRIPE_PRODUCT_ID_COLUMN,
+  STRIPE_PRICE_ID_COLUMN,
+  IMAGE_LIST_SEPARATOR,
+  META_COLUMN_PREFIX,
+  RESERVED_METADATA_KEYS,
+  MARKETING_FEATURES_SEPARATOR,
+  PRODUCT_ATTRIBUTE_COLUMNS,
+  PACKAGE_DIMENSION_COLUMNS,
+  CURRENCY_COLUMN,
+  CURRENCY_PRICE_COLUMN_PATTERN,
+  RECURRING_COLUMNS,
+  PRICE_TIERS_SHEET,
+  PRICE_TIERS_COLUMNS,
+  PRICES_SHEET,
+  PRICE_HISTORY_SHEET,
+  PAYMENT_LINK_COLUMN,
+  STRIPE_PAYMENT_LINK_ID_COLUMN,
+  QUANTITY_ADJUSTABLE_COLUMN,
+  SUCCESS_URL_COLUMN,
+  QUANTITY_ADJUSTABLE_METADATA_KEY,
+  getCurrencyDecimals,
+  toStripeAmount,
+  fromStripeAmount,
+  validateRecurringColumns,
+  parseAccounts,
+  getAccountColumn,
+  getPaymentLinkSettings
+} = require('./catalog-format');
+const { LOG_LEVELS, runSession, getSession, getStripe, getRequestOptions } = require('./session');
+
+// Outcome of each row (created, updated, skipped or failed) and the reason a
+// row was skipped or failed. Written with --continueOnError, or when the
+// sheet already has the columns
+const SYNC_STATUS_COLUMN = 'SYNC_STATUS';
+const SYNC_ERROR_COLUMN = 'SYNC_ERROR';
+const SYNC_STATUSES = ['created', 'updated', 'skipped', 'failed'];
+
+// With --account, each connected account has its own ID and sync status
+// columns, named after the account (e.g. STRIPE_PRODUCT_ID_acct_123)
+const ACCOUNT_COLUMN_PATTERN = /^(?:STRIPE_PRODUCT_ID|STRIPE_PRICE_ID|SYNC_STATUS|SYNC_ERROR|PAYMENT_LINK|STRIPE_PAYMENT_LINK_ID)_acct_[A-Za-z0-9]+$/;
+
+// IMAGE_2 to IMAGE_8 columns add more images after the ones in IMAGE
+// (Stripe allows up to 8 images per product)
+const EXTRA_IMAGE_COLUMN_PATTERN = /^IMAGE_([2-8])$/;
+const MAX_PRODUCT_IMAGES = 8;
+
+// Stripe's length limits for the product name and description
+const MAX_NAME_LENGTH = 5000;
+const MAX_DESCRIPTION_LENGTH = 40000;
+
+// Stripe's limits for metadata, which META_<key> columns are written to
+// See https://stripe.com/docs/api/metadata
+const MAX_METADATA_KEYS = 50;
+const MAX_METADATA_KEY_LENGTH = 40;
+const MAX_METADATA_VALUE_LENGTH = 500;
+
+// Stripe's limits for the product attribute columns
+const MAX_MARKETING_FEATURES = 15;
+const MAX_MARKETING_FEATURE_LENGTH = 80;
+const MAX_UNIT_LABEL_LENGTH = 12;
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Columns of the optional worksheet that records every price replacement
+const PRICE_HISTORY_COLUMNS = ['DATE', 'CODE', 'STRIPE_PRODUCT_ID', 'OLD_PRICE_ID', 'OLD_PRICE', 'NEW_PRICE_ID', 'NEW_PRICE', 'OLD_CURRENCY', 'NEW_CURRENCY'];
+
+// Prices are in USD unless CURRENCY sets another currency, and PRICE_<CURRENCY>
+// columns become currency_options on the same price
+const DEFAULT_CURRENCY = 'usd';
+
+// Tier modes of the optional PRICE_TIERS worksheet
+const TIERS_MODES = ['graduated', 'volume'];
+
+// Columns and values of the optional PRICES worksheet, with extra prices
+// besides the one in the product row
+const PRICES_REQUIRED_COLUMNS = ['CODE', 'AMOUNT'];
+const PRICE_TYPES = ['one_time', 'recurring'];
+const MAX_LOOKUP_KEY_LENGTH = 200;
+
+// Worksheets that never hold products, even with --allSheets
+const SPECIAL_SHEETS = [PRICE_TIERS_SHEET, PRICE_HISTORY_SHEET, PRICES_SHEET];
+
+// With --sheetCategory, products get their worksheet's name in this metadata key
+const SHEET_CATEGORY_METADATA_KEY = 'category';
+
+// Journals of the objects created by each run, one JSON entry per line
+const JOURNALS_DIR = 'journals';
+
+// Format of the files saved by the plan command
+const PLAN_VERSION = 1;
+
+// Options of the commands, when not given
+const DEFAULT_OPTIONS = {
+  dryRun: false,
+  update: false,
+  prune: false,
+  yes: false,
+  continueOnError: false,
+  failOnDuplicate: false,
+  allSheets: false,
+  sheetCategory: false,
+  paymentLinks: false,
+  concurrency: 1,
+  rateLimit: 20,
+  maxRetries: 5
+};
+
+
+// Log output of the row being processed, when rows run in parallel
+const logBuffers = new AsyncLocalStorage();
+
+// Writes to the session's logger, or to the current row's buffer when there is one
+const logger = Object.fromEntries(LOG_LEVELS.map(level => [level, (...args) => writeLog(level, args)]));
+
+// Backoff between retries of a Stripe request, doubled on every attempt
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30000;
+
+/**
+ * Upload the products of the Excel file to Stripe
+ * @returns {Promise<Object>} - Summary of the run ({ runId, inputFile, outputFile, dryRun, startedAt, finishedAt, counts, rows })
+ */
+async function upload() {
+  const { options, columnMapping } = getSession();
+  const inputFilePath = options.file;
+  const outputFilePath = options.output || inputFilePath;
+  
+  logger.info('Starting Stripe Product Uploader');
+  logger.debug(`Input file: ${inputFilePath}`);
+  logger.debug(`Output file: ${outputFilePath}`);
+  
+  if (options.dryRun) {
+    logger.notice('DRY RUN MODE: No changes will be made to Stripe or the product file');
+  }
+  
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error(`--concurrency must be a positive whole number, got ${options.concurrency}`);
+  }
+  
+  if (!(options.rateLimit > 0)) {
+    throw new Error(`--rateLimit must be greater than 0, got ${options.rateLimit}`);
+  }
+  
+  if (!Number.isInteger(options.maxRetries) || options.maxRetries < 0) {
+    throw new Error(`--maxRetries must be 0 or a positive whole number, got ${options.maxRetries}`);
+  }
+  
+  checkPruneSheets();
+  
+  // Validate input file exists
+  if (!fs.existsSync(inputFilePath)) {
+    throw new Error(`Input file not found: ${inputFilePath}`);
+  }
+  
+  // Check the output format before anything is uploaded
+  getWorkbookFormat(outputFilePath);
+  
+  // Read the product file
+  logger.info('Reading product file...');
+  const workbook = await readWorkbook(inputFilePath);
+  
+  // A worksheet the output format can't hold would lose its IDs after the upload
+  checkWorkbookWritable(workbook, outputFilePath);
+  
+  // Get the product worksheets (the first one, unless --sheet or --allSheets is given)
+  const worksheets = getProductWorksheets(workbook);
+  
+  // Validate worksheet structure
+  worksheets.forEach(worksheet => {
+    validateWorksheetStructure(worksheet, REQUIRED_COLUMNS, columnMapping.headerRow);
+  });
+  
+  // Read tiered prices from the optional PRICE_TIERS worksheet
+  const tiersByCode = readPriceTiers(workbook);
+  
+  // With --account, the sheet is synced to each connected account in turn,
+  // and every account gets its own ID and sync status columns
+  const { accounts } = getSession();
+  const syncedAccounts = accounts.length > 0 ? accounts : [null];
+  const accountSheets = new Map();
+  syncedAccounts.forEach(account => {
+    accountSheets.set(account, runAccountSession(account, () => addIdColumns(workbook, worksheets)));
+  });
+  
+  // A saved plan is only applied to the file and catalog it was made for
+  let savedPlan = null;
+  if (options.apply) {
+    if (options.resume !== undefined) {
+      throw new Error('--apply can\'t be combined with --resume');
+    }
+    if (syncedAccounts.length > 1) {
+      throw new Error('--apply can\'t be combined with more than one --account, since a plan is made for a single account');
+    }
+    
+    const { sheets } = accountSheets.get(syncedAccounts[0]);
+    savedPlan = await runAccountSession(syncedAccounts[0], () => checkPlan(options.apply, inputFilePath, getSheetProductIds(sheets)));
+  }
+  
+  // Start a journal, or continue the one of the run being resumed
+  let journal = null;
+  let resumedEntries = null;
+  if (!options.dryRun) {
+    if (options.resume !== undefined) {
+      journal = findResumableJournal(inputFilePath, options.resume);
+      getSession().journal = journal;
+      resumedEntries = readJournal(journal.path);
+      logger.info(`Resuming run ${journal.runId} from ${journal.path}`);
+    } else {
+      journal = openJournal(inputFilePath, outputFilePath);
+      logger.debug(`Run ID: ${journal.runId} (journal: ${journal.path})`);
+    }
+  } else if (options.resume !== undefined) {
+    logger.notice('[DRY RUN] Ignoring --resume');
+  }
+  
+  // Outcome of every processed row, for the summary
+  const results = [];
+  const startedAt = new Date().toISOString();
+  
+  for (const account of syncedAccounts) {
+    const { sheets, pricesSheet } = accountSheets.get(account);
+    await runAccountSession(account, async () => {
+      if (account) {
+        logger.info(`Syncing to connected account ${account}...`);
+      }
+      
+      // The IDs of a crashed run are restored to the columns of their account
+      if (resumedEntries) {
+        const accountEntries = resumedEntries.filter(entry => (entry.account || null) === account);
+        const replayedCount = replayJournal(accountEntries, sheets, pricesSheet);
+        logger.info(`Restored ${replayedCount} Stripe IDs from the journal`);
+      }
+      
+      const context = {
+        workbook,
+        tiersByCode,
+        pricesSheet,
+        update: options.update || Boolean(options.apply)
+      };
+      results.push(...await processSheets(context, sheets));
+    });
+  }
+  
+  // Save the updated product file
+  if (!options.dryRun) {
+    logger.info(`Saving updated product file to ${outputFilePath}...`);
+    await writeWorkbook(workbook, outputFilePath);
+    logger.success('Product file updated successfully!');
+  } else {
+    logger.notice('[DRY RUN] Would save updated product file');
+  }
+  
+  // Archive products that were removed from the sheet (a saved plan says
+  // whether to). This runs after saving, so that a declined confirmation
+  // doesn't lose the Stripe IDs of the rows
+  if (options.prune || (savedPlan && savedPlan.prune)) {
+    for (const account of syncedAccounts) {
+      const { sheets } = accountSheets.get(account);
+      await runAccountSession(account, () => pruneProducts(getSheetProductCodes(sheets), options.dryRun));
+    }
+  }
+  
+  recordJournalEntry({ type: 'complete' });
+  
+  // Summarize the outcome of the rows
+  const sheetNames = worksheets.map(worksheet => worksheet.name);
+  const accountIndex = result => syncedAccounts.indexOf(result.account || null);
+  results.sort((a, b) => accountIndex(a) - accountIndex(b) ||
+    sheetNames.indexOf(a.sheet) - sheetNames.indexOf(b.sheet) || a.row - b.row);
+  const counts = {};
+  SYNC_STATUSES.forEach(status => {
+    counts[status] = results.filter(result => result.status === status).length;
+  });
+  logger.info(`Rows: ${SYNC_STATUSES.map(status => `${counts[status]} ${status}`).join(', ')}`);
+  
+  const summary = {
+    runId: journal ? journal.runId : null,
+    inputFile: inputFilePath,
+    outputFile: outputFilePath,
+    dryRun: options.dryRun,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    counts,
+    rows: results
+  };
+  const summaryPath = options.summary || (journal ? path.join(JOURNALS_DIR, `${journal.runId}.summary.json`) : null);
+  if (summaryPath) {
+    writeRunSummary(summaryPath, summary);
+    logger.debug(`Summary written to ${summaryPath}`);
+  }
+  
+  if (counts.failed > 0) {
+    logger.error(`${counts.failed} of ${results.length} rows failed; see ${SYNC_STATUS_COLUMN} and ${SYNC_ERROR_COLUMN} in ${outputFilePath}`);
+  } else {
+    logger.success('Process completed successfully!');
+  }
+  
+  return summary;
+}
+
+/**
+ * Upload the rows of the product worksheets to the account being synced
+ * @param {Object} context - Shared state for processRow ({ workbook, tiersByCode, pricesSheet, update })
+ * @param {Array<Object>} sheets - Product sheets read by readProductSheet
+ * @returns {Promise<Array<Object>>} - Outcome of every processed row ({ sheet, row, code, status, reason, productId, priceId })
+ */
+async function processSheets(context, sheets) {
+  const { options, columnMapping, account, onProgress } = getSession();
+  
+  // Shared state for processRow. The index of existing products by product
+  // code is fetched when first needed, and kept as a promise so that
+  // parallel rows share a single fetch
+  let productCodeIndex = null;
+  const rowContext = {
+    ...context,
+    getProductCodeIndex: () => {
+      productCodeIndex = productCodeIndex || buildProductCodeIndex();
+      return productCodeIndex;
+    }
+  };
+  
+  // Process each row
+  const rowCount = sheets.reduce((count, sheet) => count + sheet.worksheet.rowCount - columnMapping.headerRow, 0);
+  logger.info(`Processing ${rowCount} products...`);
+  
+  // Rows with the same product code are processed in order by one worker,
+  // so that a product created for one row is reused by the next, even on
+  // another sheet
+  const rowGroups = new Map();
+  sheets.forEach(sheet => {
+    for (let rowNumber = columnMapping.headerRow + 1; rowNumber <= sheet.worksheet.rowCount; rowNumber++) {
+      const productCode = getCellValue(sheet.worksheet.getRow(rowNumber), sheet.columnIndices.CODE);
+      const groupKey = productCode === null ? `${sheet.sheetName} row ${rowNumber}` : productCode.toString();
+      if (!rowGroups.has(groupKey)) {
+        rowGroups.set(groupKey, []);
+      }
+      rowGroups.get(groupKey).push({ sheet, rowNumber });
+    }
+  });
+  
+  if (options.concurrency > 1) {
+    logger.debug(`Processing up to ${options.concurrency} products at a time (at most ${options.rateLimit} Stripe requests per second)`);
+  }
+  
+  // Outcome of every processed row
+  const results = [];
+  let completedCount = 0;
+  
+  const processAndRecordRow = async (sheet, rowNumber) => {
+    const { worksheet, sheetName, columnIndices, productIdColIndex, priceIdColIndex, paymentLinkColIndex } = sheet;
+    const row = worksheet.getRow(rowNumber);
+    let outcome;
+    try {
+      outcome = await processRow({ ...rowContext, ...sheet }, row, rowNumber);
+    } catch (error) {
+      if (!options.continueOnError) {
+        throw error;
+      }
+      logger.error(`Error: ${describeRow(sheetName, rowNumber)} failed: ${error.message}`);
+      outcome = { status: 'failed', reason: error.message };
+    }
+    
+    completedCount++;
+    if (outcome) {
+      recordRowOutcome(row, columnIndices, outcome);
+      const result = {
+        ...(account ? { account } : {}),
+        sheet: sheetName,
+        row: rowNumber,
+        code: getCellValue(row, columnIndices.CODE).toString(),
+        status: outcome.status,
+        reason: outcome.reason,
+        productId: getCellValue(row, productIdColIndex),
+        priceId: getCellValue(row, priceIdColIndex),
+        ...(options.paymentLinks ? { paymentLink: getCellValue(row, paymentLinkColIndex) } : {})
+      };
+      results.push(result);
+      onProgress({ type: 'row', ...result, completed: completedCount, total: rowCount });
+    }
+  };
+  
+  await runWithConcurrency([...rowGroups.values()], options.concurrency, async rows => {
+    for (const { sheet, rowNumber } of rows) {
+      // Parallel rows keep their log output together
+      if (options.concurrency > 1) {
+        await withBufferedLogs(() => processAndRecordRow(sheet, rowNumber));
+      } else {
+        await processAndRecordRow(sheet, rowNumber);
+      }
+    }
+  });
+  
+  return results;
+}
+
+/**
+ * Add the ID columns of the account being synced, if the sheets don't have them
+ * 
+ * The sync status columns are added too when rows may fail without stopping
+ * the run, and kept up to date whenever the sheet has them. With
+ * --paymentLinks, the payment link columns are added as well.
+ * @param {Excel.Workbook} workbook - The workbook being processed
+ * @param {Array<Excel.Worksheet>} worksheets - Product worksheets
+ * @returns {Object} - Product sheets read by readProductSheet, and the PRICES worksheet read by readPricesSheet ({ sheets, pricesSheet })
+ */
+function addIdColumns(workbook, worksheets) {
+  const { options, columnMapping, account } = getSession();
+  const [productIdColumn, priceIdColumn, syncStatusColumn, syncErrorColumn, paymentLinkColumn, paymentLinkIdColumn] = [
+    STRIPE_PRODUCT_ID_COLUMN,
+    STRIPE_PRICE_ID_COLUMN,
+    SYNC_STATUS_COLUMN,
+    SYNC_ERROR_COLUMN,
+    PAYMENT_LINK_COLUMN,
+    STRIPE_PAYMENT_LINK_ID_COLUMN
+  ].map(column => getAccountColumn(column, account));
+  
+  // Extra prices from the optional PRICES worksheet get a column for their IDs.
+  // The mapping's header row doesn't apply to it, so its headers are in row 1
+  const pricesSheet = readPricesSheet(workbook);
+  if (pricesSheet && !pricesSheet.priceIdColIndex) {
+    const headerRow = pricesSheet.worksheet.getRow(1);
+    pricesSheet.priceIdColIndex = headerRow.cellCount + 1;
+    headerRow.getCell(pricesSheet.priceIdColIndex).value = priceIdColumn;
+  }
+  
+  const sheets = worksheets.map(worksheet => {
+    const headerRow = worksheet.getRow(columnMapping.headerRow);
+    const existingColumns = getColumnIndices(headerRow);
+    
+    const idColumns = options.paymentLinks
+      ? [productIdColumn, priceIdColumn, paymentLinkColumn, paymentLinkIdColumn]
+      : [productIdColumn, priceIdColumn];
+    idColumns.forEach(column => {
+      if (!existingColumns[column]) {
+        headerRow.getCell(headerRow.cellCount + 1).value = column;
+      }
+    });
+    
+    const hasSyncColumns = [syncStatusColumn, syncErrorColumn]
+      .some(column => existingColumns[column]);
+    if (options.continueOnError || hasSyncColumns) {
+      [syncStatusColumn, syncErrorColumn].forEach(column => {
+        if (!existingColumns[column]) {
+          headerRow.getCell(headerRow.cellCount + 1).value = column;
+        }
+      });
+    }
+    
+    return readProductSheet(worksheet);
+  });
+  
+  return { sheets, pricesSheet };
+}
+
+/**
+ * Run a function for one connected account, in a session of its own
+ * 
+ * Images are uploaded again for every account, since the files of one
+ * account can't be used by another.
+ * @param {string|null} account - Connected account ID, or null for the platform account
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+function runAccountSession(account, fn) {
+  return runSession({ ...getSession(), account, uploadedImages: new Map() }, fn);
+}
+
+/**
+ * Check the Excel file for problems without connecting to Stripe
+ * 
+ * Runs the same checks as an upload, plus checks across rows, and reports
+ * every finding with its row and column.
+ * @returns {Promise<Object>} - Findings and their counts ({ file, errors, warnings, findings })
+ */
+async function validate() {
+  const { options, columnMapping } = getSession();
+  const inputFilePath = options.file;
+  const findings = [];
+  
+  logger.info(`Validating ${inputFilePath}...`);
+  
+  if (!fs.existsSync(inputFilePath)) {
+    throw new Error(`Input file not found: ${inputFilePath}`);
+  }
+  
+  const workbook = await readWorkbook(inputFilePath);
+  const worksheets = getProductWorksheets(workbook);
+  
+  // Rows can't be checked without the required columns
+  let tiersByCode = {};
+  worksheets.forEach(worksheet => {
+    try {
+      validateWorksheetStructure(worksheet, REQUIRED_COLUMNS, columnMapping.headerRow);
+    } catch (error) {
+      findings.push({ sheet: worksheet.name, row: columnMapping.headerRow, column: null, severity: 'error', message: error.message });
+    }
+  });
+  try {
+    tiersByCode = readPriceTiers(workbook);
+  } catch (error) {
+    findings.push({ sheet: PRICE_TIERS_SHEET, row: 1, column: null, severity: 'error', message: error.message });
+  }
+  let pricesSheet = null;
+  try {
+    pricesSheet = readPricesSheet(workbook);
+  } catch (error) {
+    findings.push({ sheet: PRICES_SHEET, row: 1, column: null, severity: 'error', message: error.message });
+  }
+  
+  if (findings.length === 0) {
+    const rowsByCode = new Map();
+    
+    worksheets.map(readProductSheet).forEach(sheet => {
+      const { worksheet, sheetName, columnIndices } = sheet;
+      const context = { tiersByCode, pricesSheet, ...sheet };
+      
+      for (let rowNumber = columnMapping.headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        const productCode = getCellValue(row, columnIndices.CODE);
+        
+        // Rows without a CODE are skipped by the uploader, unless they have other data
+        if (productCode === null) {
+          if (row.hasValues) {
+            findings.push({ sheet: sheetName, row: rowNumber, column: 'CODE', severity: 'warning', message: 'is empty, so the row will be skipped' });
+          }
+          continue;
+        }
+        
+        // Rows with the same code share one Stripe product, which is rarely intended
+        const code = productCode.toString();
+        if (rowsByCode.has(code)) {
+          const first = rowsByCode.get(code);
+          const location = first.sheetName === sheetName ? `row ${first.rowNumber}` : `row ${first.rowNumber} of ${first.sheetName}`;
+          findings.push({ sheet: sheetName, row: rowNumber, column: 'CODE', severity: 'warning', message: `duplicate of ${location} ("${code}")` });
+        } else {
+          rowsByCode.set(code, { sheetName, rowNumber });
+        }
+        
+        readProductRow(context, row).errors.forEach(error => {
+          findings.push({ sheet: sheetName, row: rowNumber, column: error.column, severity: 'error', message: error.message });
+        });
+      }
+    });
+    
+    // Extra prices are only uploaded with their product; with --sheet, it may be on another sheet
+    if (pricesSheet && options.sheet === undefined) {
+      Object.entries(pricesSheet.rowsByCode).forEach(([code, priceRows]) => {
+        if (!rowsByCode.has(code)) {
+          priceRows.forEach(({ rowNumber }) => {
+            findings.push({ sheet: PRICES_SHEET, row: rowNumber, column: 'CODE', severity: 'warning', message: `no product row has the code "${code}", so the price will be skipped` });
+          });
+        }
+      });
+    }
+    
+    logger.debug(`Checked ${rowsByCode.size} products`);
+  }
+  
+  const errorCount = findings.filter(finding => finding.severity === 'error').length;
+  const warningCount = findings.length - errorCount;
+  
+  if (errorCount > 0) {
+    logger.error(`Found ${errorCount} errors and ${warningCount} warnings`);
+  } else {
+    logger.success(warningCount > 0 ? `No errors, ${warningCount} warnings` : 'No problems found');
+  }
+  
+  return { file: inputFilePath, errors: errorCount, warnings: warningCount, findings };
+}
+
+/**
+ * Compare the Excel file against the products and prices in Stripe
+ * 
+ * Prints a field-by-field diff of what an upload with --update would create,
+ * update, reprice or archive, without changing anything. With --out, the plan
+ * is saved together with fingerprints of the file and of the Stripe catalog,
+ * so that --apply can refuse to run if either has changed.
+ * @returns {Promise<Object>} - Planned changes by row and their counts ({ entries, counts })
+ */
+async function plan() {
+  const { options, columnMapping, accounts, account } = getSession();
+  const inputFilePath = options.file;
+  
+  if (accounts.length > 1) {
+    throw new Error('The plan command compares the file against one account at a time; pass a single --account');
+  }
+  
+  logger.info('Starting Stripe Product Uploader (plan)');
+  logger.debug(`Input file: ${inputFilePath}`);
+  
+  if (!fs.existsSync(inputFilePath)) {
+    throw new Error(`Input file not found: ${inputFilePath}`);
+  }
+  
+  logger.info('Reading product file...');
+  const workbook = await readWorkbook(inputFilePath);
+  
+  checkPruneSheets();
+  const worksheets = getProductWorksheets(workbook);
+  worksheets.forEach(worksheet => {
+    validateWorksheetStructure(worksheet, REQUIRED_COLUMNS, columnMapping.headerRow);
+  });
+  
+  const sheets = worksheets.map(readProductSheet);
+  const tiersByCode = readPriceTiers(workbook);
+  const pricesSheet = readPricesSheet(workbook);
+  
+  logger.info(`Fetching products and prices from ${account ? `connected account ${account}` : 'Stripe'}...`);
+  const catalog = await fetchCatalog(getSheetProductIds(sheets));
+  logger.debug(`Found ${catalog.products.size} products and ${catalog.prices.size} prices`);
+  
+  // Rows without IDs whose code was planned for an earlier row reuse that product
+  const plannedCodes = new Map();
+  const entries = [];
+  for (const sheet of sheets) {
+    const context = { tiersByCode, pricesSheet, ...sheet };
+    for (let rowNumber = columnMapping.headerRow + 1; rowNumber <= sheet.worksheet.rowCount; rowNumber++) {
+      const entry = await planRow(context, sheet.worksheet.getRow(rowNumber), rowNumber, catalog, plannedCodes);
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+  }
+  
+  // Products removed from the sheet are archived along with their active prices
+  if (options.prune) {
+    const sheetCodes = getSheetProductCodes(sheets);
+    findPrunableProducts([...catalog.products.values()], sheetCodes).forEach(product => {
+      const activePrices = [...catalog.prices.values()].filter(price => price.product === product.id && price.active);
+      entries.push({
+        sheet: null,
+        row: null,
+        code: product.metadata.product_code,
+        productId: product.id,
+        actions: ['archive'],
+        changes: [{ field: 'active', from: true, to: false }],
+        archive: activePrices.filter(price => price.id !== getDefaultPriceId(product)).map(price => price.id),
+        reason: null
+      });
+    });
+  }
+  
+  const counts = {
+    create: entries.filter(entry => entry.actions.includes('create')).length,
+    link: entries.filter(entry => entry.actions.includes('link')).length,
+    update: entries.filter(entry => entry.actions.includes('update')).length,
+    reprice: entries.filter(entry => entry.actions.includes('reprice')).length,
+    addPrice: entries.filter(entry => entry.actions.includes('add price')).length,
+    prune: entries.filter(entry => entry.actions.includes('archive')).length,
+    archive: entries.reduce((count, entry) => count + entry.archive.length, 0),
+    skip: entries.filter(entry => entry.actions.includes('skip')).length,
+    unchanged: entries.filter(entry => entry.actions.length === 0).length
+  };
+  
+  printPlan(entries);
+  logger.info(`Plan: ${counts.create} to create, ${counts.link} to link, ${counts.update} to update, ${counts.reprice} to reprice, ${counts.addPrice} to add prices to, ${counts.prune} products and ${counts.archive} prices to archive, ${counts.skip} skipped, ${counts.unchanged} unchanged`);
+  
+  if (options.out) {
+    const savedPlan = {
+      version: PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      file: path.resolve(inputFilePath),
+      fileHash: getWorkbookHash(inputFilePath),
+      stripeFingerprint: catalog.fingerprint,
+      account,
+      prune: options.prune,
+      counts,
+      entries
+    };
+    fs.writeFileSync(options.out, `${JSON.stringify(savedPlan, null, 2)}\n`);
+    logger.success(`Plan saved to ${options.out}`);
+  }
+  
+  return { entries, counts };
+}
+
+/**
+ * Work out what an upload with --update would do with a row
+ * @param {Object} context - Column indices and tiers by product code
+ * @param {Excel.Row} row - The row to plan
+ * @param {number} rowNumber - Number of the row in the worksheet
+ * @param {Object} catalog - Catalog fetched by fetchCatalog
+ * @param {Map} plannedCodes - Rows of the products planned so far, keyed by product code
+ * @returns {Promise<Object|null>} - Plan entry ({ sheet, row, code, productId, actions, changes, archive, reason }), or null for empty rows
+ */
+async function planRow(context, row, rowNumber, catalog, plannedCodes) {
+  const { sheetName, productIdColIndex, priceIdColIndex } = context;
+  
+  const productCode = getCellValue(row, context.columnIndices.CODE);
+  if (productCode === null) {
+    return null;
+  }
+  
+  const entry = { sheet: sheetName, row: rowNumber, code: productCode.toString(), productId: null, actions: [], changes: [], archive: [], reason: null };
+  const skip = reason => Object.assign(entry, { actions: ['skip'], changes: [], archive: [], reason });
+  
+  const { productData, priceSpec, extraPrices, errors } = readProductRow(context, row);
+  if (errors.length > 0) {
+    return skip(describeColumnErrors(errors));
+  }
+  
+  let productId = getCellValue(row, productIdColIndex);
+  let priceId = getCellValue(row, priceIdColIndex);
+  
+  if (!productId && plannedCodes.has(entry.code)) {
+    return skip(`Uses the product planned for ${plannedCodes.get(entry.code)}`);
+  }
+  
+  // Rows without IDs reuse an active product with the same code, like an upload does
+  if (!productId) {
+    const existing = await findExistingProduct(catalog.productCodeIndex, entry.code, priceSpec);
+    if (existing) {
+      entry.actions.push('link');
+      productId = existing.product.id;
+      priceId = existing.priceId;
+    }
+  }
+  
+  if (!productId) {
+    plannedCodes.set(entry.code, describeRow(sheetName, rowNumber));
+    entry.actions.push('create');
+    entry.changes = describeNewProduct(productData, priceSpec);
+    await planExtraPrices(entry, extraPrices, catalog, null);
+    return entry;
+  }
+  
+  const product = catalog.products.get(productId.toString());
+  if (!product) {
+    return skip(`Product ${productId} not found in Stripe`);
+  }
+  
+  entry.productId = product.id;
+  plannedCodes.set(entry.code, describeRow(sheetName, rowNumber));
+  
+  const productChanges = diffProduct(product, productData, getImagesHash(productData.imagePaths));
+  if (productChanges.length > 0) {
+    entry.actions.push('update');
+    entry.changes.push(...productChanges);
+  }
+  
+  if (!priceId) {
+    entry.actions.push('add price');
+    entry.changes.push({ field: 'price', from: null, to: describePriceSpec(priceSpec) });
+  } else {
+    // Archived prices aren't in the catalog, so fetch them on their own
+    const price = catalog.prices.get(priceId.toString()) || await retrieveStripePrice(priceId.toString());
+    const currentPriceSpec = getPriceSpec(price);
+    if (!priceSpecsEqual(currentPriceSpec, priceSpec)) {
+      entry.actions.push('reprice');
+      entry.changes.push({ field: 'price', from: describePriceSpec(currentPriceSpec), to: describePriceSpec(priceSpec) });
+      entry.archive.push(price.id);
+    }
+  }
+  
+  await planExtraPrices(entry, extraPrices, catalog, priceId && priceId.toString());
+  return entry;
+}
+
+/**
+ * Add the changes to a product's extra prices to its plan entry
+ * @param {Object} entry - Plan entry of the product row
+ * @param {Array<Object>} extraPrices - Extra prices read by readExtraPrice
+ * @param {Object} catalog - Catalog fetched by fetchCatalog
+ * @param {string|null} mainPriceId - ID of the price in the product row
+ * @returns {Promise<void>}
+ */
+async function planExtraPrices(entry, extraPrices, catalog, mainPriceId) {
+  const addAction = action => {
+    if (!entry.actions.includes(action)) {
+      entry.actions.push(action);
+    }
+  };
+  
+  for (const extraPrice of extraPrices) {
+    if (!extraPrice.priceId) {
+      if (extraPrice.active) {
+        addAction('add price');
+        entry.changes.push({ field: `price (row ${extraPrice.rowNumber} of ${PRICES_SHEET})`, from: null, to: describePriceSpec(extraPrice.priceSpec) });
+      }
+      continue;
+    }
+    
+    if (!entry.productId || extraPrice.priceId === mainPriceId) {
+      continue;
+    }
+    
+    const price = catalog.prices.get(extraPrice.priceId) || await retrieveStripePrice(extraPrice.priceId);
+    const priceProductId = typeof price.product === 'string' ? price.product : price.product.id;
+    if (priceProductId !== entry.productId) {
+      continue;
+    }
+    
+    Object.entries(diffExtraPrice(price, extraPrice)).forEach(([field, value]) => {
+      if (field === 'active' && value === false) {
+        addAction('archive price');
+        entry.archive.push(price.id);
+      } else {
+        addAction('update');
+        entry.changes.push({ field: `price ${price.id} ${field}`, from: price[field] ?? null, to: value });
+      }
+    });
+  }
+}
+
+/**
+ * Describe the fields of a product that would be created
+ * @param {Object} productData - Row data ({ code, name, description, imagePaths, metadata, attributes })
+ * @param {Object} priceSpec - Price spec of the row
+ * @returns {Array<Object>} - The fields ({ field, from, to }), with from always null
+ */
+function describeNewProduct(productData, priceSpec) {
+  const fields = [
+    { field: 'name', from: null, to: productData.name },
+    { field: 'description', from: null, to: productData.description },
+    { field: 'images', from: null, to: productData.imagePaths.map(imagePath => path.basename(imagePath)).join(IMAGE_LIST_SEPARATOR) }
+  ];
+  
+  Object.entries(productData.attributes).forEach(([field, value]) => {
+    if (value !== null) {
+      fields.push({ field, from: null, to: value });
+    }
+  });
+  
+  Object.entries(productData.metadata).forEach(([key, value]) => {
+    if (value !== null) {
+      fields.push({ field: `metadata.${key}`, from: null, to: value });
+    }
+  });
+  
+  fields.push({ field: 'price', from: null, to: describePriceSpec(priceSpec) });
+  return fields;
+}
+
+/**
+ * Print the entries of a plan as a diff
+ * @param {Array<Object>} entries - Plan entries from planRow
+ */
+function printPlan(entries) {
+  entries.forEach(entry => {
+    const heading = `${entry.code}${entry.row ? ` (${describeRow(entry.sheet, entry.row)})` : ''}${entry.productId ? ` ${entry.productId}` : ''}`;
+    
+    if (entry.actions.includes('archive')) {
+      logger.notice(`- ${heading}: archive product (no longer in the sheet)`);
+      entry.archive.forEach(priceId => {
+        logger.notice(`- ${heading}: archive price ${priceId}`);
+      });
+      return;
+    }
+    
+    if (entry.actions.includes('skip')) {
+      logger.debug(`  ${heading}: skip (${entry.reason})`);
+      return;
+    }
+    
+    if (entry.actions.length === 0 || (entry.actions.length === 1 && entry.actions[0] === 'link')) {
+      return;
+    }
+    
+    if (entry.actions.includes('create')) {
+      logger.success(`+ ${heading}: ${entry.actions.join(', ')}`);
+    } else {
+      logger.notice(`~ ${heading}: ${entry.actions.join(', ')}`);
+    }
+    
+    entry.changes.forEach(change => {
+      const value = change.from === null ?
+        JSON.stringify(change.to) :
+        `${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`;
+      logger.debug(`    ${change.field}: ${value}`);
+    });
+    
+    entry.archive.forEach(priceId => {
+      logger.notice(`- ${heading}: archive price ${priceId}`);
+    });
+  });
+}
+
+/**
+ * Fetch the products and prices the uploader works with
+ * 
+ * The fingerprint covers every product with a product code or an ID in the
+ * sheet, and their prices, so it changes whenever one of them is created,
+ * updated or archived.
+ * @param {Set<string>} sheetProductIds - Product IDs in the sheet
+ * @returns {Promise<Object>} - Products and prices by ID, the product code index and the fingerprint
+ */
+async function fetchCatalog(sheetProductIds) {
+  const stripe = getStripe();
+  let products;
+  let prices;
+  try {
+    products = await fetchAllProducts(stripe, { request: callStripe, quiet: true, requestOptions: getRequestOptions() });
+    prices = await fetchAllPrices(stripe, {
+      params: { active: true, expand: ['data.currency_options', 'data.tiers'] },
+      request: callStripe,
+      quiet: true,
+      requestOptions: getRequestOptions()
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch the catalog from Stripe: ${error.message}`);
+  }
+  
+  const relevantProducts = products
+    .filter(product => product.metadata?.product_code || sheetProductIds.has(product.id))
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+  const relevantProductIds = new Set(relevantProducts.map(product => product.id));
+  const relevantPrices = prices
+    .filter(price => relevantProductIds.has(typeof price.product === 'string' ? price.product : price.product.id))
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+  
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify({
+    products: relevantProducts.map(product => [product.id, product.updated, product.active]),
+    prices: relevantPrices.map(price => [price.id, price.active, price.nickname, price.metadata])
+  })).digest('hex');
+  
+  return {
+    products: new Map(products.map(product => [product.id, product])),
+    prices: new Map(prices.map(price => [price.id, price])),
+    productCodeIndex: createProductCodeIndex(products),
+    fingerprint
+  };
+}
+
+/**
+ * Get the product IDs in the product sheets
+ * @param {Array<Object>} sheets - Product sheets read by readProductSheet
+ * @returns {Set<string>} - Product IDs
+ */
+function getSheetProductIds(sheets) {
+  const { columnMapping } = getSession();
+  const productIds = new Set();
+  sheets.forEach(({ worksheet, productIdColIndex }) => {
+    for (let rowNumber = columnMapping.headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+      const productId = getCellValue(worksheet.getRow(rowNumber), productIdColIndex);
+      if (productId !== null) {
+        productIds.add(productId.toString());
+      }
+    }
+  });
+  return productIds;
+}
+
+/**
+ * Undo a run from its journal
+ * 
+ * Works for crashed and partial runs too, since every object is journaled
+ * as soon as Stripe creates it. Entries are undone newest first. Changes to
+ * the fields of existing products are not undone.
+ * @returns {Promise<void>}
+ */
+async function rollback() {
+  const { options } = getSession();
+  const runId = options.run;
+  const journalPath = path.join(JOURNALS_DIR, `${runId}.jsonl`);
+  
+  logger.info(`Rolling back run ${runId}`);
+  
+  if (options.dryRun) {
+    logger.notice('DRY RUN MODE: No changes will be made to Stripe or the product file');
+  }
+  
+  if (!fs.existsSync(journalPath)) {
+    throw new Error(`Journal not found for run ${runId}: ${journalPath}`);
+  }
+  
+  const entries = readJournal(journalPath);
+  if (entries.some(entry => entry.type === 'rollback')) {
+    throw new Error(`Run ${runId} was already rolled back`);
+  }
+  
+  const runEntry = entries.find(entry => entry.type === 'run') || {};
+  if (!entries.some(entry => entry.type === 'complete')) {
+    logger.notice(`Run ${runId} didn't complete; rolling back what it created before it stopped`);
+  }
+  
+  // Undo the Stripe changes, newest first
+  let failedCount = 0;
+  for (const entry of [...entries].reverse()) {
+    try {
+      await runAccountSession(entry.account || null, () => undoJournalEntry(entry, options.dryRun));
+    } catch (error) {
+      failedCount++;
+      logger.error(`Error: Failed to undo ${entry.type} ${entry.id}: ${error.message}`);
+    }
+  }
+  
+  // Clear the IDs of the created objects from the workbook the run wrote to
+  const workbookPath = options.file || runEntry.outputFile;
+  if (workbookPath && fs.existsSync(workbookPath)) {
+    const clearedCount = await clearJournaledIds(workbookPath, entries, options.dryRun);
+    logger.debug(`${options.dryRun ? 'Would clear' : 'Cleared'} ${clearedCount} Stripe IDs in ${workbookPath}`);
+  } else {
+    logger.warn(`Warning: Product file not found (${workbookPath || 'not recorded in the journal'}); no IDs were cleared`);
+  }
+  
+  if (failedCount > 0) {
+    throw new Error(`${failedCount} changes couldn't be undone; fix the errors above and run the rollback again`);
+  }
+  
+  if (!options.dryRun) {
+    getSession().journal = { runId, path: journalPath };
+    recordJournalEntry({ type: 'rollback' });
+  }
+  
+  logger.success(`Run ${runId} rolled back successfully!`);
+}
+
+/**
+ * Undo one journal entry in Stripe
+ * @param {Object} entry - Journal entry
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @returns {Promise<void>}
+ */
+async function undoJournalEntry(entry, dryRun) {
+  const stripe = getStripe();
+  const label = entry.code ? ` (${entry.code})` : '';
+  const steps = [];
+  
+  switch (entry.type) {
+  case 'product':
+    steps.push({ todo: `archive product ${entry.id}${label}`, done: `Archived product ${entry.id}${label}`, run: () => stripe.products.update(entry.id, { active: false }, getRequestOptions()) });
+    break;
+  case 'price':
+    // A replacement price gives the product its old default price back
+    if (entry.replaces) {
+      steps.push({ todo: `restore price ${entry.replaces} as the default price of ${entry.product}${label}`, done: `Restored price ${entry.replaces} as the default price of ${entry.product}${label}`, run: async () => {
+        await stripe.prices.update(entry.replaces, { active: true }, getRequestOptions());
+        return stripe.products.update(entry.product, { default_price: entry.replaces }, getRequestOptions());
+      } });
+    }
+    steps.push({ todo: `archive price ${entry.id}${label}`, done: `Archived price ${entry.id}${label}`, run: () => stripe.prices.update(entry.id, { active: false }, getRequestOptions()) });
+    break;
+  case 'payment_link':
+    // A replacement link gives the row its old link back
+    if (entry.replaces) {
+      steps.push({ todo: `reactivate payment link ${entry.replaces}${label}`, done: `Reactivated payment link ${entry.replaces}${label}`, run: () => stripe.paymentLinks.update(entry.replaces, { active: true }, getRequestOptions()) });
+    }
+    steps.push({ todo: `deactivate payment link ${entry.id}${label}`, done: `Deactivated payment link ${entry.id}${label}`, run: () => stripe.paymentLinks.update(entry.id, { active: false }, getRequestOptions()) });
+    break;
+  case 'file_link':
+    steps.push({ todo: `deactivate file link ${entry.id}${label}`, done: `Deactivated file link ${entry.id}${label}`, run: () => stripe.fileLinks.update(entry.id, { expires_at: 'now' }, getRequestOptions()) });
+    break;
+  case 'archive_product':
+    steps.push({ todo: `restore archived product ${entry.id}${label}`, done: `Restored archived product ${entry.id}${label}`, run: () => stripe.products.update(entry.id, { active: true }, getRequestOptions()) });
+    break;
+  case 'archive_price':
+    steps.push({ todo: `restore archived price ${entry.id}${label}`, done: `Restored archived price ${entry.id}${label}`, run: () => stripe.prices.update(entry.id, { active: true }, getRequestOptions()) });
+    break;
+  case 'file':
+    // Stripe doesn't allow deleting files; without a file link they aren't public
+    logger.debug(`File ${entry.id}${label} stays in Stripe (files can't be deleted)`);
+    break;
+  default:
+    break;
+  }
+  
+  for (const step of steps) {
+    if (dryRun) {
+      logger.notice(`[DRY RUN] Would ${step.todo}`);
+    } else {
+      await callStripe(step.run);
+      logger.success(step.done);
+    }
+  }
+}
+
+/**
+ * Clear the IDs of the products and prices created by a run from the workbook
+ * 
+ * Replacement prices and payment links are swapped back for the ones they
+ * replaced, and extra prices are cleared from the PRICES worksheet. The IDs
+ * of connected accounts
+ * are cleared from the columns of their account.
+ * @param {string} workbookPath - Path to the Excel file the run wrote to
+ * @param {Array<Object>} entries - Journal entries of the run
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @returns {Promise<number>} - Number of cells changed
+ */
+async function clearJournaledIds(workbookPath, entries, dryRun) {
+  const workbook = await readWorkbook(workbookPath);
+  
+  let clearedCount = 0;
+  const accounts = [...new Set(entries.map(entry => entry.account || null))];
+  accounts.forEach(account => {
+    const accountEntries = entries.filter(entry => (entry.account || null) === account);
+    clearedCount += runAccountSession(account, () => clearAccountIds(workbook, accountEntries));
+  });
+  
+  if (!dryRun && clearedCount > 0) {
+    await writeWorkbook(workbook, workbookPath);
+  }
+  
+  return clearedCount;
+}
+
+/**
+ * Clear the IDs of the products and prices created in the account being synced
+ * @param {Excel.Workbook} workbook - The workbook the run wrote to
+ * @param {Array<Object>} entries - Journal entries of the account
+ * @returns {number} - Number of cells changed
+ */
+function clearAccountIds(workbook, entries) {
+  const { columnMapping } = getSession();
+  const createdProductIds = new Set(entries.filter(entry => entry.type === 'product').map(entry => entry.id));
+  const createdPrices = new Map(entries.filter(entry => entry.type === 'price').map(entry => [entry.id, entry]));
+  const createdLinks = new Map(entries.filter(entry => entry.type === 'payment_link').map(entry => [entry.id, entry]));
+  
+  // IDs are unique, so every sheet with ID columns is checked, whichever sheets the run processed
+  const sheets = workbook.worksheets
+    .filter(worksheet => !SPECIAL_SHEETS.includes(worksheet.name))
+    .map(readProductSheet)
+    .filter(sheet => sheet.productIdColIndex && sheet.priceIdColIndex);
+  
+  let clearedCount = 0;
+  sheets.forEach(({ worksheet, productIdColIndex, priceIdColIndex, paymentLinkColIndex, paymentLinkIdColIndex }) => {
+    for (let rowNumber = columnMapping.headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+      const row = worksheet.getRow(rowNumber);
+      const productId = getCellValue(row, productIdColIndex);
+      const priceId = getCellValue(row, priceIdColIndex);
+      const linkId = getCellValue(row, paymentLinkIdColIndex);
+      
+      if (linkId !== null && createdLinks.has(linkId.toString())) {
+        const { replaces, replacesUrl } = createdLinks.get(linkId.toString());
+        row.getCell(paymentLinkIdColIndex).value = replaces || null;
+        if (paymentLinkColIndex) {
+          row.getCell(paymentLinkColIndex).value = replacesUrl || null;
+        }
+        clearedCount++;
+      }
+      
+      if (productId !== null && createdProductIds.has(productId.toString())) {
+        row.getCell(productIdColIndex).value = null;
+        row.getCell(priceIdColIndex).value = null;
+        clearedCount++;
+      } else if (priceId !== null && createdPrices.has(priceId.toString())) {
+        row.getCell(priceIdColIndex).value = createdPrices.get(priceId.toString()).replaces || null;
+        clearedCount++;
+      }
+    }
+  });
+  
+  const pricesSheet = readPricesSheet(workbook);
+  if (pricesSheet && pricesSheet.priceIdColIndex) {
+    for (let rowNumber = 2; rowNumber <= pricesSheet.worksheet.rowCount; rowNumber++) {
+      const row = pricesSheet.worksheet.getRow(rowNumber);
+      const priceId = getCellValue(row, pricesSheet.priceIdColIndex);
+      if (priceId !== null && createdPrices.has(priceId.toString())) {
+        row.getCell(pricesSheet.priceIdColIndex).value = null;
+        clearedCount++;
+      }
+    }
+  }
+  
+  return clearedCount;
+}
+
+/**
+ * Get the product codes in the product sheets
+ * @param {Array<Object>} sheets - Product sheets read by readProductSheet
+ * @returns {Set<string>} - Product codes
+ */
+function getSheetProductCodes(sheets) {
+  const { columnMapping } = getSession();
+  const productCodes = new Set();
+  sheets.forEach(({ worksheet, columnIndices }) => {
+    for (let rowNumber = columnMapping.headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+      const productCode = getCellValue(worksheet.getRow(rowNumber), columnIndices.CODE);
+      if (productCode !== null) {
+        productCodes.add(productCode.toString());
+      }
+    }
+  });
+  return productCodes;
+}
+
+/**
+ * Find the active products created by this script whose code is not in the sheet
+ * 
+ * Products without product_code metadata were not created by this script,
+ * so they are never returned.
+ * @param {Array<Object>} products - Stripe product objects
+ * @param {Set<string>} sheetCodes - Product codes in the sheet
+ * @returns {Array<Object>} - Products to archive, by product code
+ */
+function findPrunableProducts(products, sheetCodes) {
+  return products
+    .filter(product => product.active && product.metadata?.product_code && !sheetCodes.has(product.metadata.product_code))
+    .sort((a, b) => a.metadata.product_code.localeCompare(b.metadata.product_code));
+}
+
+/**
+ * Get the ID of a product's default price
+ * @param {Object} product - Stripe product object
+ * @returns {string|null} - Price ID, or null if the product has no default price
+ */
+function getDefaultPriceId(product) {
+  const defaultPrice = product.default_price;
+  if (!defaultPrice) {
+    return null;
+  }
+  return typeof defaultPrice === 'string' ? defaultPrice : defaultPrice.id;
+}
+
+/**
+ * Archive the active products whose code is no longer in the sheet, after confirmation
+ * @param {Set<string>} sheetCodes - Product codes in the sheet
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @returns {Promise<number>} - Number of archived products
+ */
+async function pruneProducts(sheetCodes, dryRun) {
+  const { options, account } = getSession();
+  const stripe = getStripe();
+  // An empty sheet would archive everything, which is never what was meant
+  if (sheetCodes.size === 0) {
+    throw new Error('The sheet has no product codes; refusing to archive every product with --prune');
+  }
+  
+  logger.info('Looking for products that are no longer in the sheet...');
+  
+  let products;
+  try {
+    products = await fetchAllProducts(stripe, { params: { active: true }, request: callStripe, quiet: true, requestOptions: getRequestOptions() });
+  } catch (error) {
+    throw new Error(`Failed to list products in Stripe: ${error.message}`);
+  }
+  
+  const prunableProducts = findPrunableProducts(products, sheetCodes);
+  if (prunableProducts.length === 0) {
+    logger.debug('No products to archive');
+    return 0;
+  }
+  
+  logger.notice(`${prunableProducts.length} active products are no longer in the sheet:`);
+  prunableProducts.forEach(product => {
+    logger.notice(`  ${product.metadata.product_code}  ${product.id}  ${product.name}`);
+  });
+  
+  if (dryRun) {
+    logger.notice(`[DRY RUN] Would archive ${prunableProducts.length} products and their active prices`);
+    return 0;
+  }
+  
+  if (!options.yes) {
+    if (!options.confirm) {
+      throw new Error('--prune needs confirmation; run it in a terminal or pass --yes');
+    }
+    
+    const accountName = account ? ` in connected account ${account}` : '';
+    const confirmed = await options.confirm(`Archive these ${prunableProducts.length} products and their active prices${accountName}? [y/N] `);
+    if (!confirmed) {
+      logger.notice('Not archiving any products');
+      return 0;
+    }
+  }
+  
+  for (const product of prunableProducts) {
+    await archiveStripeProduct(product);
+  }
+  
+  logger.success(`Archived ${prunableProducts.length} products`);
+  return prunableProducts.length;
+}
+
+/**
+ * Archive a product and its active prices in Stripe
+ * 
+ * Stripe doesn't allow archiving a product's default price, so it stays
+ * attached to the archived product.
+ * @param {Object} product - Stripe product object
+ * @returns {Promise<void>}
+ */
+async function archiveStripeProduct(product) {
+  const stripe = getStripe();
+  const productCode = product.metadata.product_code;
+  const defaultPriceId = getDefaultPriceId(product);
+  
+  try {
+    const prices = await fetchAllPrices(stripe, { params: { product: product.id, active: true }, request: callStripe, quiet: true, requestOptions: getRequestOptions() });
+    for (const price of prices.filter(p => p.id !== defaultPriceId)) {
+      await callStripe(() => stripe.prices.update(price.id, { active: false }, getRequestOptions()));
+      recordJournalEntry({ type: 'archive_price', id: price.id, product: product.id, code: productCode });
+      logger.debug(`Archived price ${price.id}`);
+    }
+    
+    await callStripe(() => stripe.products.update(product.id, { active: false }, getRequestOptions()));
+    recordJournalEntry({ type: 'archive_product', id: product.id, code: productCode });
+    logger.success(`Archived product ${productCode} (${product.id})`);
+  } catch (error) {
+    throw new Error(`Failed to archive product ${product.id} in Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Check that a saved plan still matches the Excel file and the Stripe catalog
+ * @param {string} planPath - Path to the plan saved by the plan command
+ * @param {string} inputFilePath - Path to the input Excel file
+ * @param {Set<string>} sheetProductIds - Product IDs in the sheet
+ * @returns {Promise<Object>} - The saved plan
+ */
+async function checkPlan(planPath, inputFilePath, sheetProductIds) {
+  if (!fs.existsSync(planPath)) {
+    throw new Error(`Plan not found: ${planPath}`);
+  }
+  
+  const savedPlan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+  if (savedPlan.version !== PLAN_VERSION) {
+    throw new Error(`Unsupported plan version ${savedPlan.version} in ${planPath}`);
+  }
+  
+  const { account } = getSession();
+  if ((savedPlan.account || null) !== account) {
+    const describeAccount = planAccount => (planAccount ? `connected account ${planAccount}` : 'the platform account');
+    throw new Error(`The plan was made for ${describeAccount(savedPlan.account)}, not ${describeAccount(account)}`);
+  }
+  
+  if (savedPlan.fileHash !== getWorkbookHash(inputFilePath)) {
+    throw new Error(`${inputFilePath} has changed since the plan was made (or is not the file the plan was made for). Run the plan command again.`);
+  }
+  
+  logger.info('Checking that Stripe hasn\'t changed since the plan was made...');
+  const catalog = await fetchCatalog(sheetProductIds);
+  if (catalog.fingerprint !== savedPlan.stripeFingerprint) {
+    throw new Error(`Stripe has changed since the plan was made at ${savedPlan.createdAt}. Run the plan command again.`);
+  }
+  
+  logger.debug(`Applying plan from ${savedPlan.createdAt}: ${savedPlan.counts.create} to create, ${savedPlan.counts.update} to update, ${savedPlan.counts.reprice} to reprice${savedPlan.prune ? `, ${savedPlan.counts.prune} to archive` : ''}`);
+  return savedPlan;
+}
+
+/**
+ * Write a log message, to the current row's buffer if it has one
+ * @param {string} method - Logger method to use, one of LOG_LEVELS
+ * @param {Array} args - Arguments for the logger method
+ */
+function writeLog(method, args) {
+  const buffer = logBuffers.getStore();
+  if (buffer) {
+    buffer.push({ method, args });
+  } else {
+    getSession().logger[method](...args);
+  }
+}
+
+/**
+ * Run a function and print its log output in one block once it finishes
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} - Result of the function
+ */
+async function withBufferedLogs(fn) {
+  const buffer = [];
+  try {
+    return await logBuffers.run(buffer, fn);
+  } finally {
+    const { logger: sessionLogger } = getSession();
+    buffer.forEach(({ method, args }) => sessionLogger[method](...args));
+  }
+}
+
+/**
+ * Run a worker for every item, with at most a given number running at once
+ * 
+ * Once a worker fails, no new items are started. Workers that are already
+ * running are allowed to finish, and then the first error is thrown.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+  let nextIndex = 0;
+  let firstError = null;
+  
+  const runWorker = async () => {
+    while (nextIndex < items.length && !firstError) {
+      const item = items[nextIndex++];
+      try {
+        await worker(item);
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+  
+  if (firstError) {
+    throw firstError;
+  }
+}
+
+/**
+ * Wait until the request budget allows another Stripe request
+ * @returns {Promise<void>}
+ */
+async function waitForRequestSlot() {
+  const session = getSession();
+  const now = Date.now();
+  const requestTime = Math.max(now, session.nextRequestTime);
+  session.nextRequestTime = requestTime + 1000 / session.options.rateLimit;
+  
+  if (requestTime > now) {
+    await sleep(requestTime - now);
+  }
+}
+
+/**
+ * Check whether a failed Stripe request can be retried
+ * @param {Error} error - Error thrown by the Stripe client
+ * @returns {boolean} - True for rate limit, lock timeout, network and server errors
+ */
+function isRetryableError(error) {
+  // Stripe tells us explicitly when it knows
+  const shouldRetry = error.headers && error.headers['stripe-should-retry'];
+  if (shouldRetry === 'true' || shouldRetry === 'false') {
+    return shouldRetry === 'true';
+  }
+  
+  return error.type === 'StripeRateLimitError' ||
+    error.type === 'StripeConnectionError' ||
+    error.statusCode === 409 ||
+    error.statusCode >= 500;
+}
+
+/**
+ * Send a Stripe request within the request budget, retrying errors that can be retried
+ * 
+ * Retries wait with exponential backoff and full jitter. Create requests are
+ * sent with idempotency keys, so a retry never creates a second object.
+ * @param {Function} request - Function that sends the request and returns its promise
+ * @returns {Promise<Object>} - Stripe response
+ */
+async function callStripe(request) {
+  const { options } = getSession();
+  for (let attempt = 0; ; attempt++) {
+    await waitForRequestSlot();
+    
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= options.maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      
+      const maxDelay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+      const delay = Math.round(Math.random() * maxDelay);
+      logger.warn(`Warning: Stripe request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1} of ${options.maxRetries})...`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Validate a row and create or update its product, its price and its extra prices in Stripe
+ * @param {Object} context - Shared state of the run (workbook, update mode, product code index, PRICES worksheet) and the row's sheet (worksheet, column indices)
+ * @param {Excel.Row} row - The row to process
+ * @param {number} rowNumber - Number of the row in the worksheet
+ * @returns {Promise<Object|null>} - The row's outcome ({ status, reason }), or null for empty rows
+ */
+async function processRow(context, row, rowNumber) {
+  const { columnIndices, priceIdColIndex } = context;
+  
+  // Skip empty rows
+  if (row.getCell(columnIndices.CODE).value === null) {
+    return null;
+  }
+  
+  const { options } = getSession();
+  const productCode = row.getCell(columnIndices.CODE).value.toString();
+  const { productData, priceSpec, extraPrices, paymentLink, errors } = readProductRow(context, row);
+  
+  // Skip rows that would be rejected by Stripe or can't be uploaded
+  if (errors.length > 0) {
+    errors.forEach(error => {
+      logger.warn(`Warning: Invalid ${error.column} for product ${productCode}: ${error.message}`);
+    });
+    logger.warn(`Warning: Skipping product ${productCode}...`);
+    return { status: 'skipped', reason: describeColumnErrors(errors) };
+  }
+  
+  const { outcome, productId, priceReplaced = false } = await syncProduct(context, row, rowNumber, productData, priceSpec);
+  
+  // Extra prices are added once the product exists
+  const changes = [];
+  const mainPriceId = getCellValue(row, priceIdColIndex);
+  const priceChanges = await syncExtraPrices(context, productCode, productId, mainPriceId && mainPriceId.toString(), extraPrices);
+  if (priceChanges.length > 0) {
+    changes.push(`extra prices (${priceChanges.join(', ')})`);
+  }
+  
+  // The payment link goes to the row's price, once it exists
+  if (options.paymentLinks) {
+    const linkChange = await syncPaymentLink(context, row, productCode, paymentLink, priceReplaced);
+    if (linkChange) {
+      changes.push(`payment link (${linkChange})`);
+    }
+  }
+  
+  if (changes.length === 0 || outcome.status === 'created') {
+    return outcome;
+  }
+  
+  return {
+    status: 'updated',
+    reason: outcome.status === 'updated' ? `${outcome.reason}, ${changes.join(', ')}` : `Changed ${changes.join(', ')}`
+  };
+}
+
+/**
+ * Create or update the product and price of a validated row in Stripe
+ * @param {Object} context - Shared state of the run and the row's sheet, as passed to processRow
+ * @param {Excel.Row} row - The row to process
+ * @param {number} rowNumber - Number of the row in the worksheet
+ * @param {Object} productData - Row data read by readProductRow
+ * @param {Object} priceSpec - Price spec read by readProductRow
+ * @returns {Promise<Object>} - The row's outcome, its product ID, or null for a product that would be created in a dry run, and whether its price was replaced ({ outcome, productId, priceReplaced })
+ */
+async function syncProduct(context, row, rowNumber, productData, priceSpec) {
+  const { options } = getSession();
+  const { workbook, productIdColIndex, priceIdColIndex } = context;
+  const { code: productCode, imagePaths } = productData;
+  
+  logger.debug(`Processing product: ${productCode} - ${productData.name}`);
+  
+  // Check if product already has Stripe IDs
+  let existingProductId = row.getCell(productIdColIndex).value;
+  let existingPriceId = row.getCell(priceIdColIndex).value;
+  
+  // Outcome of rows that already have a product, unless it gets updated
+  let outcome = { status: 'skipped', reason: context.update ? 'No changes' : 'Already has Stripe IDs' };
+  
+  // Look for a product created earlier for the same code, e.g. from a copy
+  // of the sheet whose ID columns were cleared
+  if (!existingProductId) {
+    const existing = await findExistingProduct(await context.getProductCodeIndex(), productCode, priceSpec);
+    
+    if (existing) {
+      if (options.failOnDuplicate) {
+        throw new Error(`Product ${productCode} already exists in Stripe (${existing.product.id}) but row ${rowNumber} has no Stripe IDs`);
+      }
+      
+      logger.notice(`Found existing Stripe product ${existing.product.id} for ${productCode}, reusing it`);
+      existingProductId = existing.product.id;
+      existingPriceId = existing.priceId;
+      row.getCell(productIdColIndex).value = existingProductId;
+      row.getCell(priceIdColIndex).value = existingPriceId;
+      outcome = { status: 'skipped', reason: `Reused existing Stripe product ${existingProductId}` };
+    }
+  }
+  
+  // Products without a price get one instead of a second product
+  if (existingProductId && !existingPriceId) {
+    if (options.dryRun) {
+      logger.notice(`[DRY RUN] Would create Stripe price for ${productCode} on existing product ${existingProductId} (${describePriceSpec(priceSpec)})`);
+      return { outcome: { status: 'created', reason: `Price for existing product ${existingProductId}` }, productId: existingProductId.toString() };
+    }
+    
+    const price = await createStripePrice(existingProductId.toString(), priceSpec, productCode);
+    logger.success(`Created Stripe price: ${price.id}`);
+    existingPriceId = price.id;
+    row.getCell(priceIdColIndex).value = existingPriceId;
+    outcome = { status: 'created', reason: `Price for existing product ${existingProductId}` };
+  }
+  
+  if (existingProductId && existingPriceId) {
+    const productId = existingProductId.toString();
+    if (!context.update) {
+      logger.notice(`Product ${productCode} already has Stripe IDs, skipping...`);
+      return { outcome, productId };
+    }
+    
+    // Compare the existing product against the row and update what changed
+    const { changes } = await updateStripeProduct(productId, productData, options.dryRun);
+    const changedFields = changes.map(change => change.field);
+    
+    // Prices can't be edited, so a changed PRICE gets a replacement price
+    const currentPrice = await retrieveStripePrice(existingPriceId.toString());
+    const currentPriceSpec = getPriceSpec(currentPrice);
+    if (priceSpecsEqual(currentPriceSpec, priceSpec)) {
+      if (changedFields.length > 0) {
+        return { outcome: { status: 'updated', reason: `Changed ${changedFields.join(', ')}` }, productId };
+      }
+      return { outcome, productId };
+    }
+    
+    changedFields.push('price');
+    
+    logger.debug(`  price: ${describePriceSpec(currentPriceSpec)} -> ${describePriceSpec(priceSpec)}`);
+    
+    if (options.dryRun) {
+      logger.notice(`[DRY RUN] Would replace Stripe price ${currentPrice.id} for ${productCode} and archive the old price`);
+      return { outcome: { status: 'updated', reason: `Changed ${changedFields.join(', ')}` }, productId, priceReplaced: true };
+    }
+    
+    const newPrice = await replaceStripePrice(productId, currentPrice, priceSpec, productCode);
+    row.getCell(priceIdColIndex).value = newPrice.id;
+    recordPriceChange(workbook, productCode, productId, currentPrice, newPrice);
+    return { outcome: { status: 'updated', reason: `Changed ${changedFields.join(', ')}` }, productId, priceReplaced: true };
+  }
+  
+  if (!options.dryRun) {
+    // Create product in Stripe with images
+    const product = await createStripeProduct(productData);
+    logger.success(`Created Stripe product: ${product.id}`);
+    
+    // Create price in Stripe with product code as description
+    const price = await createStripePrice(product.id, priceSpec, productCode);
+    logger.success(`Created Stripe price: ${price.id}`);
+    
+    // The row's price is the product's default price, which tells it apart from extra prices
+    await setDefaultPrice(product.id, price.id);
+    
+    // Update the row with Stripe IDs
+    row.getCell(productIdColIndex).value = product.id;
+    row.getCell(priceIdColIndex).value = price.id;
+    
+    // Later rows with the same code reuse this product
+    addToProductCodeIndex(await context.getProductCodeIndex(), product);
+    return { outcome: { status: 'created', reason: null }, productId: product.id };
+  } else {
+    imagePaths.forEach(imagePath => {
+      logger.notice(`[DRY RUN] Would upload image to Stripe and create FileLink: ${imagePath}`);
+    });
+    logger.notice(`[DRY RUN] Would create Stripe product for ${productCode} with ${imagePaths.length} public image URL(s)`);
+    logger.notice(`[DRY RUN] Would create Stripe price for ${productCode} with nickname: ${productCode} (${describePriceSpec(priceSpec)})`);
+  }
+  
+  return { outcome: { status: 'created', reason: null }, productId: null };
+}
+
+/**
+ * Create and update the extra prices of a product from the PRICES worksheet
+ * 
+ * Rows without a STRIPE_PRICE_ID get a new price. With --update, the prices
+ * of the other rows are archived, restored, renamed or given a lookup key to
+ * match their row. The product row's own price is left to the product row.
+ * @param {Object} context - Shared state of the run (update mode, PRICES worksheet)
+ * @param {string} productCode - Product code
+ * @param {string|null} productId - Stripe product ID, or null for a product that would be created in a dry run
+ * @param {string|null} mainPriceId - ID of the price in the product row
+ * @param {Array<Object>} extraPrices - Extra prices read by readExtraPrice
+ * @returns {Promise<Array<string>>} - Descriptions of the changes, e.g. "created price_123"
+ */
+async function syncExtraPrices(context, productCode, productId, mainPriceId, extraPrices) {
+  const { options } = getSession();
+  const stripe = getStripe();
+  const changes = [];
+  
+  for (const extraPrice of extraPrices) {
+    const location = `row ${extraPrice.rowNumber} of ${PRICES_SHEET}`;
+    
+    // Archived rows without an ID have nothing to create
+    if (!extraPrice.priceId) {
+      if (!extraPrice.active) {
+        continue;
+      }
+      
+      if (options.dryRun) {
+        logger.notice(`[DRY RUN] Would create extra Stripe price for ${productCode} from ${location} (${describePriceSpec(extraPrice.priceSpec)})`);
+        changes.push(`new price from ${location}`);
+        continue;
+      }
+      
+      const price = await createStripePrice(productId, extraPrice.priceSpec, productCode, {
+        nickname: extraPrice.nickname,
+        lookupKey: extraPrice.lookupKey,
+        pricesRow: extraPrice.rowNumber
+      });
+      logger.success(`Created extra Stripe price: ${price.id}`);
+      extraPrice.row.getCell(context.pricesSheet.priceIdColIndex).value = price.id;
+      changes.push(`created ${price.id}`);
+      continue;
+    }
+    
+    if (!context.update || !productId || extraPrice.priceId === mainPriceId) {
+      continue;
+    }
+    
+    const price = await retrieveStripePrice(extraPrice.priceId);
+    const priceProductId = typeof price.product === 'string' ? price.product : price.product.id;
+    if (priceProductId !== productId) {
+      logger.warn(`Warning: Price ${price.id} in ${location} belongs to product ${priceProductId}, not to ${productCode} (${productId}); skipping it`);
+      continue;
+    }
+    
+    const params = diffExtraPrice(price, extraPrice);
+    if (Object.keys(params).length === 0) {
+      continue;
+    }
+    
+    Object.entries(params).forEach(([field, value]) => {
+      logger.debug(`  price ${price.id} ${field}: ${JSON.stringify(price[field] ?? null)} -> ${JSON.stringify(value)}`);
+    });
+    const change = params.active === false ? 'archived' : (params.active === true ? 'restored' : 'updated');
+    
+    if (options.dryRun) {
+      logger.notice(`[DRY RUN] Would update extra Stripe price ${price.id} for ${productCode}`);
+      changes.push(`${change} ${price.id}`);
+      continue;
+    }
+    
+    try {
+      await callStripe(() => stripe.prices.update(price.id, params, getRequestOptions()));
+    } catch (error) {
+      throw new Error(`Failed to update price ${price.id} in Stripe: ${error.message}`);
+    }
+    if (params.active === false) {
+      recordJournalEntry({ type: 'archive_price', id: price.id, product: productId, code: productCode });
+    }
+    logger.success(`Extra Stripe price ${price.id} ${change}`);
+    changes.push(`${change} ${price.id}`);
+  }
+  
+  return changes;
+}
+
+/**
+ * Get the fields of an existing price that differ from its PRICES row
+ * 
+ * Empty NICKNAME and LOOKUP_KEY cells leave the price's values as they are.
+ * @param {Object} price - Stripe price object
+ * @param {Object} extraPrice - Extra price read by readExtraPrice
+ * @returns {Object} - Price update parameters (active, nickname, lookup_key), empty if nothing changed
+ */
+function diffExtraPrice(price, extraPrice) {
+  const params = {};
+  if (price.active !== extraPrice.active) {
+    params.active = extraPrice.active;
+  }
+  if (extraPrice.nickname !== null && extraPrice.nickname !== (price.nickname ?? null)) {
+    params.nickname = extraPrice.nickname;
+  }
+  if (extraPrice.lookupKey !== null && extraPrice.lookupKey !== (price.lookup_key ?? null)) {
+    params.lookup_key = extraPrice.lookupKey;
+  }
+  return params;
+}
+
+/**
+ * Create or update the payment link of a row's price
+ * 
+ * Rows without a STRIPE_PAYMENT_LINK_ID get a new link. With --update, a link
+ * that isn't for the row's price, e.g. because the price was replaced, or
+ * that was deactivated, is replaced by a new link, and the settings of the
+ * others are updated to match the row. Empty QUANTITY_ADJUSTABLE and
+ * SUCCESS_URL cells leave the link's settings as they are.
+ * @param {Object} context - Shared state of the run and the row's sheet, as passed to processRow
+ * @param {Excel.Row} row - The row to process
+ * @param {string} productCode - Product code
+ * @param {Object} settings - Payment link settings read by readPaymentLinkSettings
+ * @param {boolean} priceReplaced - Whether the row's price was replaced (or would be, in a dry run)
+ * @returns {Promise<string|null>} - Description of the change, e.g. "created plink_123", or null if nothing changed
+ */
+async function syncPaymentLink(context, row, productCode, settings, priceReplaced) {
+  const { options } = getSession();
+  const stripe = getStripe();
+  const { priceIdColIndex, paymentLinkIdColIndex } = context;
+  const priceId = getCellValue(row, priceIdColIndex);
+  const linkId = getCellValue(row, paymentLinkIdColIndex);
+  
+  if (linkId === null) {
+    // Products that would be created in a dry run have no price yet
+    if (options.dryRun) {
+      logger.notice(`[DRY RUN] Would create payment link for ${productCode}${priceId ? ` (price ${priceId})` : ''}`);
+      return 'new link';
+    }
+    
+    const link = await createPaymentLink(priceId.toString(), settings, productCode);
+    writePaymentLink(context, row, link);
+    logger.success(`Created payment link: ${link.url}`);
+    return `created ${link.id}`;
+  }
+  
+  if (!context.update) {
+    return null;
+  }
+  
+  const link = await retrievePaymentLink(linkId.toString());
+  const currentSettings = getPaymentLinkSettings(link);
+  const rowSettings = {
+    quantityAdjustable: settings.quantityAdjustable ?? currentSettings.quantityAdjustable,
+    successUrl: settings.successUrl ?? currentSettings.successUrl
+  };
+  
+  // Stripe can't change the price of a link, so the link is replaced
+  const linkPriceIds = link.line_items.data.map(item => item.price.id);
+  if (priceReplaced || !link.active || linkPriceIds.length !== 1 || linkPriceIds[0] !== priceId.toString()) {
+    const reason = link.active ? `is for price ${linkPriceIds.join(', ')}` : 'is inactive';
+    logger.debug(`  payment link ${link.id} ${priceReplaced ? 'is for the replaced price' : reason}`);
+    
+    if (options.dryRun) {
+      logger.notice(`[DRY RUN] Would replace payment link ${link.id} for ${productCode}${link.active ? ' and deactivate the old link' : ''}`);
+      return `replaced ${link.id}`;
+    }
+    
+    const newLink = await createPaymentLink(priceId.toString(), rowSettings, productCode, link);
+    writePaymentLink(context, row, newLink);
+    logger.success(`Created payment link: ${newLink.url}`);
+    
+    if (link.active) {
+      try {
+        await callStripe(() => stripe.paymentLinks.update(link.id, { active: false }, getRequestOptions()));
+      } catch (error) {
+        throw new Error(`Failed to deactivate payment link ${link.id} in Stripe: ${error.message}`);
+      }
+      logger.success(`Deactivated old payment link: ${link.id}`);
+    }
+    return `replaced ${link.id} with ${newLink.id}`;
+  }
+  
+  const params = diffPaymentLink(link, currentSettings, rowSettings);
+  if (Object.keys(params).length === 0) {
+    return null;
+  }
+  
+  if (params.metadata) {
+    logger.debug(`  payment link ${link.id} quantity adjustable: ${JSON.stringify(currentSettings.quantityAdjustable)} -> ${JSON.stringify(rowSettings.quantityAdjustable)}`);
+  }
+  if (params.after_completion) {
+    logger.debug(`  payment link ${link.id} success URL: ${JSON.stringify(currentSettings.successUrl)} -> ${JSON.stringify(rowSettings.successUrl)}`);
+  }
+  
+  if (options.dryRun) {
+    logger.notice(`[DRY RUN] Would update payment link ${link.id} for ${productCode}`);
+    return `updated ${link.id}`;
+  }
+  
+  try {
+    await callStripe(() => stripe.paymentLinks.update(link.id, params, getRequestOptions()));
+  } catch (error) {
+    throw new Error(`Failed to update payment link ${link.id} in Stripe: ${error.message}`);
+  }
+  logger.success(`Payment link ${link.id} updated`);
+  return `updated ${link.id}`;
+}
+
+/**
+ * Get the update parameters for the settings of a payment link that differ from its row
+ * @param {Object} link - Stripe payment link object, with its line items
+ * @param {Object} currentSettings - The link's settings, read by getPaymentLinkSettings
+ * @param {Object} rowSettings - The settings of the row, with empty cells filled from the link
+ * @returns {Object} - Payment link update parameters, empty if nothing changed
+ */
+function diffPaymentLink(link, currentSettings, rowSettings) {
+  const params = {};
+  if (rowSettings.quantityAdjustable !== currentSettings.quantityAdjustable) {
+    params.line_items = [{ id: link.line_items.data[0].id, adjustable_quantity: { enabled: rowSettings.quantityAdjustable } }];
+    params.metadata = { [QUANTITY_ADJUSTABLE_METADATA_KEY]: String(rowSettings.quantityAdjustable) };
+  }
+  if (rowSettings.successUrl !== currentSettings.successUrl) {
+    params.after_completion = buildAfterCompletion(rowSettings.successUrl);
+  }
+  return params;
+}
+
+/**
+ * Read and validate the product and price of a row
+ * 
+ * All problems are collected, so that the validate command can report them
+ * together. Rows with errors must not be uploaded.
+ * @param {Object} context - Shared state of the run (tiers by product code, PRICES worksheet) and the row's sheet (name, column indices)
+ * @param {Excel.Row} row - The row to read
+ * @returns {Object} - The row's product data, price spec, extra prices and errors ({ productData, priceSpec, extraPrices, errors })
+ */
+function readProductRow(context, row) {
+  const { options } = getSession();
+  const { tiersByCode, pricesSheet, columnIndices } = context;
+  const errors = [];
+  
+  const productCode = (getCellValue(row, columnIndices.CODE) ?? '').toString();
+  const productName = (getCellValue(row, columnIndices.NAME) ?? '').toString().trim();
+  const productDescription = (getCellValue(row, columnIndices.DESCRIPTION) ?? '').toString();
+  
+  if (productName === '') {
+    errors.push({ column: 'NAME', message: 'must not be empty' });
+  } else if (productName.length > MAX_NAME_LENGTH) {
+    errors.push({ column: 'NAME', message: `must be at most ${MAX_NAME_LENGTH} characters, got ${productName.length}` });
+  }
+  
+  if (productDescription.length > MAX_DESCRIPTION_LENGTH) {
+    errors.push({ column: 'DESCRIPTION', message: `must be at most ${MAX_DESCRIPTION_LENGTH} characters, got ${productDescription.length}` });
+  }
+  
+  // Convert prices to the smallest currency unit (Stripe requires amounts in smallest currency unit)
+  const currency = (getCellValue(row, columnIndices[CURRENCY_COLUMN]) || DEFAULT_CURRENCY).toString().trim().toLowerCase();
+  const priceValue = getCellValue(row, columnIndices.PRICE);
+  const price = parseAmount(priceValue, currency);
+  const priceSpec = {
+    currency,
+    unitAmount: toStripeAmount(price, currency),
+    currencyOptions: readCurrencyOptions(row, columnIndices),
+    recurring: null,
+    tiersMode: null,
+    tiers: null
+  };
+  const priceTiers = tiersByCode[productCode];
+  
+  // Validate price
+  if (!/^[a-z]{3}$/.test(currency)) {
+    errors.push({ column: CURRENCY_COLUMN, message: `"${currency}" is not a currency code` });
+  } else {
+    // Tiered prices come from the PRICE_TIERS worksheet instead of the PRICE column
+    const amounts = priceTiers ? [] : [{ column: 'PRICE', value: priceValue, currency }];
+    Object.keys(columnIndices).forEach(header => {
+      const match = header.match(CURRENCY_PRICE_COLUMN_PATTERN);
+      const value = match ? getCellValue(row, columnIndices[header]) : null;
+      if (value !== null) {
+        amounts.push({ column: header, value, currency: match[1].toLowerCase() });
+      }
+    });
+    
+    amounts.forEach(({ column, value, currency: amountCurrency }) => {
+      const error = validateAmount(value, amountCurrency);
+      if (error) {
+        errors.push({ column, message: error });
+      } else if (column !== 'PRICE' && amountCurrency === currency) {
+        errors.push({ column, message: `is the same currency as ${CURRENCY_COLUMN}` });
+      }
+    });
+  }
+  
+  // Validate recurring price columns
+  const recurringValues = {};
+  RECURRING_COLUMNS.forEach(column => {
+    recurringValues[column] = getCellValue(row, columnIndices[column]);
+  });
+  
+  const recurringErrors = validateRecurringColumns(recurringValues);
+  errors.push(...recurringErrors);
+  if (recurringErrors.length === 0) {
+    priceSpec.recurring = buildRecurring(recurringValues);
+  }
+  
+  if (priceTiers && recurringErrors.length === 0) {
+    const tierErrors = validatePriceTiers(priceTiers, priceSpec);
+    tierErrors.forEach(error => {
+      errors.push({ column: `${PRICE_TIERS_SHEET} ${error.column}`, message: error.message });
+    });
+    
+    if (tierErrors.length === 0 && !errors.some(error => error.column === CURRENCY_COLUMN)) {
+      Object.assign(priceSpec, buildPriceTiers(priceTiers, currency));
+    }
+  }
+  
+  // Extra prices from the PRICES worksheet
+  const extraPrices = ((pricesSheet && pricesSheet.rowsByCode[productCode]) || [])
+    .map(priceRow => readExtraPrice(pricesSheet, priceRow));
+  extraPrices.forEach(extraPrice => errors.push(...extraPrice.errors));
+  
+  // Check the image files
+  const imageFileNames = readImageFileNames(row, columnIndices);
+  const imagePaths = imageFileNames.map(imageFileName => path.join('productImages', imageFileName));
+  
+  if (imageFileNames.length === 0) {
+    errors.push({ column: 'IMAGE', message: 'no image specified' });
+  } else if (imageFileNames.length > MAX_PRODUCT_IMAGES) {
+    errors.push({ column: 'IMAGE', message: `has ${imageFileNames.length} images but Stripe allows at most ${MAX_PRODUCT_IMAGES}` });
+  }
+  
+  imagePaths.forEach(imagePath => {
+    if (!fs.existsSync(imagePath)) {
+      errors.push({ column: 'IMAGE', message: `image file not found: ${imagePath}` });
+      return;
+    }
+    
+    const { size } = fs.statSync(imagePath);
+    if (size === 0) {
+      errors.push({ column: 'IMAGE', message: `image file is empty: ${imagePath}` });
+      return;
+    }
+    
+    // The type is read from the file's content, whatever its extension
+    const type = readImageType(imagePath);
+    if (!type) {
+      errors.push({ column: 'IMAGE', message: `${imagePath} is not a ${describeImageTypes()} image` });
+    } else if (needsConversion(type, size) && !canConvertImages()) {
+      const reason = size > MAX_IMAGE_SIZE ? `is larger than ${formatSize(MAX_IMAGE_SIZE)}` : `is a ${IMAGE_TYPES[type].label} image`;
+      errors.push({ column: 'IMAGE', message: `${imagePath} ${reason}; install the sharp package (npm install sharp) to convert it` });
+    }
+  });
+  
+  // Validate metadata columns against Stripe's limits before sending them
+  const metadata = readMetadata(row, columnIndices);
+  if (options.sheetCategory && context.sheetName && (metadata[SHEET_CATEGORY_METADATA_KEY] ?? null) === null) {
+    metadata[SHEET_CATEGORY_METADATA_KEY] = context.sheetName;
+  }
+  errors.push(...validateMetadata(metadata));
+  
+  // Validate optional product attribute columns
+  const attributeValues = readAttributeValues(row, columnIndices);
+  const attributeErrors = validateProductAttributes(attributeValues);
+  errors.push(...attributeErrors);
+  
+  // Validate the optional payment link columns
+  const { settings: paymentLink, errors: paymentLinkErrors } = readPaymentLinkSettings(row, columnIndices);
+  errors.push(...paymentLinkErrors);
+  
+  const productData = {
+    code: productCode,
+    name: productName,
+    description: productDescription,
+    imagePaths,
+    metadata,
+    attributes: attributeErrors.length === 0 ? buildProductAttributes(attributeValues) : {}
+  };
+  
+  return { productData, priceSpec, extraPrices, paymentLink, errors };
+}
+
+/**
+ * Parse an amount from a cell, in the number format of the --mapping locale
+ * @param {*} value - Cell value, e.g. 12.99, "$12.99" or "1.234,50"
+ * @param {string} currency - Three-letter currency code of the amount
+ * @returns {number} - The amount, or NaN if the cell is empty or can't be read unambiguously
+ */
+function parseAmount(value, currency) {
+  const { columnMapping } = getSession();
+  try {
+    return parseLocaleAmount(value, { locale: columnMapping.locale, currency });
+  } catch (error) {
+    return NaN;
+  }
+}
+
+/**
+ * Validate an amount in a currency's main unit
+ * @param {*} value - Cell value, as passed to parseAmount
+ * @param {string} currency - Three-letter currency code
+ * @returns {string|null} - Error message, or null if the amount is valid
+ */
+function validateAmount(value, currency) {
+  const { columnMapping } = getSession();
+  let amount;
+  try {
+    amount = parseLocaleAmount(value, { locale: columnMapping.locale, currency });
+  } catch (error) {
+    return error.message;
+  }
+  
+  if (amount <= 0) {
+    return 'must be greater than 0';
+  }
+  
+  // Stripe requires three-decimal amounts to end in a zero, so they allow two decimals
+  const decimals = Math.min(getCurrencyDecimals(currency), 2);
+  const scaled = amount * 10 ** decimals;
+  if (Math.abs(scaled - Math.round(scaled)) > 1e-6) {
+    return `has more than ${decimals} decimals, which ${currency.toUpperCase()} doesn't allow`;
+  }
+  
+  return null;
+}
+
+/**
+ * Write a row's outcome to the sync status columns of the account being synced, if the sheet has them
+ * @param {Excel.Row} row - The processed row
+ * @param {Object} columnIndices - Column indices by header name
+ * @param {Object} outcome - The row's outcome ({ status, reason })
+ */
+function recordRowOutcome(row, columnIndices, outcome) {
+  const { account } = getSession();
+  const statusColIndex = columnIndices[getAccountColumn(SYNC_STATUS_COLUMN, account)];
+  const errorColIndex = columnIndices[getAccountColumn(SYNC_ERROR_COLUMN, account)];
+  
+  if (statusColIndex) {
+    row.getCell(statusColIndex).value = outcome.status;
+  }
+  
+  // Only skipped and failed rows have a reason worth keeping in the sheet
+  if (errorColIndex) {
+    const isProblem = outcome.status === 'skipped' || outcome.status === 'failed';
+    row.getCell(errorColIndex).value = isProblem ? outcome.reason : null;
+  }
+}
+
+/**
+ * Describe column validation errors in one line
+ * @param {Array<Object>} errors - Validation errors ({ column, message })
+ * @returns {string} - Description of the errors
+ */
+function describeColumnErrors(errors) {
+  return errors.map(error => `Invalid ${error.column}: ${error.message}`).join('; ');
+}
+
+/**
+ * Write the JSON summary of a run
+ * @param {string} summaryPath - Path to the summary file
+ * @param {Object} summary - Summary of the run
+ */
+function writeRunSummary(summaryPath, summary) {
+  const summaryDir = path.dirname(summaryPath);
+  if (!fs.existsSync(summaryDir)) {
+    fs.mkdirSync(summaryDir, { recursive: true });
+  }
+  
+  fs.writeFileSync(summaryPath, `${JSON.stringify(summary, null, 2)}\n`);
+}
+
+/**
+ * Create the ID of a new run
+ * 
+ * IDs start with the date in the downloader's file name format, down to the
+ * millisecond, so they sort chronologically. The random suffix tells apart
+ * runs started at the same time.
+ * @returns {string} - Run ID, e.g. "2024-05-01_10-30-00-123_4f9a2c"
+ */
+function createRunId() {
+  const timestamp = new Date().toISOString()
+    .replace(/T/, '_')
+    .replace(/Z$/, '')
+    .replace(/[:.]/g, '-');
+  return `${timestamp}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Start the journal of a new run
+ * @param {string} inputFilePath - Path to the input Excel file
+ * @param {string} outputFilePath - Path to the output Excel file
+ * @returns {Object} - The journal ({ runId, path })
+ */
+function openJournal(inputFilePath, outputFilePath) {
+  if (!fs.existsSync(JOURNALS_DIR)) {
+    fs.mkdirSync(JOURNALS_DIR, { recursive: true });
+  }
+  
+  // Runs started in the same millisecond, e.g. parallel library calls, get
+  // another random suffix until the journal file can be created
+  let newJournal = null;
+  while (!newJournal) {
+    const runId = createRunId();
+    const journalPath = path.join(JOURNALS_DIR, `${runId}.jsonl`);
+    try {
+      fs.writeFileSync(journalPath, '', { flag: 'wx' });
+      newJournal = { runId, path: journalPath };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+  const { runId } = newJournal;
+  
+  getSession().journal = newJournal;
+  recordJournalEntry({
+    type: 'run',
+    runId,
+    inputFile: path.resolve(inputFilePath),
+    outputFile: path.resolve(outputFilePath)
+  });
+  
+  return newJournal;
+}
+
+/**
+ * Append an entry to the journal of the current run
+ * 
+ * Entries are written synchronously so that they survive a crash right after
+ * the Stripe call that created the object.
+ * @param {Object} entry - Journal entry ({ type, ... })
+ */
+function recordJournalEntry(entry) {
+  const { journal, account } = getSession();
+  if (!journal) {
+    return;
+  }
+  
+  // Objects of connected accounts are undone in their own account
+  const accountEntry = account ? { ...entry, account } : entry;
+  fs.appendFileSync(journal.path, `${JSON.stringify({ ...accountEntry, at: new Date().toISOString() })}\n`);
+}
+
+/**
+ * Read the entries of a journal
+ * @param {string} journalPath - Path to the journal file
+ * @returns {Array<Object>} - Journal entries, in order
+ */
+function readJournal(journalPath) {
+  return fs.readFileSync(journalPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        // A crash can leave the last line incomplete
+        logger.warn(`Warning: Ignoring unreadable line ${index + 1} of ${journalPath}`);
+        return null;
+      }
+    })
+    .filter(entry => entry !== null);
+}
+
+/**
+ * Find the journal of the run to resume
+ * @param {string} inputFilePath - Path to the input Excel file
+ * @param {string} runId - Run ID to resume, or an empty string for the latest unfinished run of the file
+ * @returns {Object} - The journal ({ runId, path })
+ */
+function findResumableJournal(inputFilePath, runId) {
+  if (runId) {
+    const journalPath = path.join(JOURNALS_DIR, `${runId}.jsonl`);
+    if (!fs.existsSync(journalPath)) {
+      throw new Error(`Journal not found for run ${runId}: ${journalPath}`);
+    }
+    const entries = readJournal(journalPath);
+    if (entries.some(entry => entry.type === 'complete')) {
+      throw new Error(`Run ${runId} already completed; there is nothing to resume`);
+    }
+    if (entries.some(entry => entry.type === 'rollback')) {
+      throw new Error(`Run ${runId} was rolled back; start a new run instead`);
+    }
+    return { runId, path: journalPath };
+  }
+  
+  // Run IDs sort chronologically, so the last unfinished journal is the latest
+  const journalFiles = fs.existsSync(JOURNALS_DIR) ?
+    fs.readdirSync(JOURNALS_DIR).filter(fileName => fileName.endsWith('.jsonl')).sort().reverse() :
+    [];
+  
+  for (const fileName of journalFiles) {
+    const journalPath = path.join(JOURNALS_DIR, fileName);
+    const entries = readJournal(journalPath);
+    const runEntry = entries.find(entry => entry.type === 'run');
+    
+    const isFinished = entries.some(entry => entry.type === 'complete' || entry.type === 'rollback');
+    if (runEntry && runEntry.inputFile === path.resolve(inputFilePath) && !isFinished) {
+      return { runId: runEntry.runId, path: journalPath };
+    }
+  }
+  
+  throw new Error(`No unfinished run found for ${inputFilePath} in ${JOURNALS_DIR}`);
+}
+
+/**
+ * Write the Stripe IDs recorded in a journal back into the product sheets
+ * and the PRICES worksheet
+ * @param {Array<Object>} entries - Journal entries
+ * @param {Array<Object>} sheets - Product sheets read by readProductSheet
+ * @param {Object|null} pricesSheet - PRICES worksheet read by readPricesSheet, if there is one
+ * @returns {number} - Number of cells that were filled in
+ */
+function replayJournal(entries, sheets, pricesSheet) {
+  const { columnMapping } = getSession();
+  let replayedCount = 0;
+  
+  const rowsByCode = {};
+  sheets.forEach(sheet => {
+    const { worksheet, columnIndices } = sheet;
+    for (let rowNumber = columnMapping.headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+      const row = worksheet.getRow(rowNumber);
+      const productCode = getCellValue(row, columnIndices.CODE);
+      if (productCode !== null) {
+        rowsByCode[productCode.toString()] = rowsByCode[productCode.toString()] || [];
+        rowsByCode[productCode.toString()].push({ row, sheet });
+      }
+    }
+  });
+  
+  entries.forEach(entry => {
+    // Extra prices go back to the PRICES row they were created for
+    if (entry.pricesRow) {
+      const row = pricesSheet && pricesSheet.worksheet.getRow(entry.pricesRow);
+      if (row && !getCellValue(row, pricesSheet.priceIdColIndex) &&
+          (getCellValue(row, pricesSheet.columnIndices.CODE) ?? '').toString() === entry.code) {
+        row.getCell(pricesSheet.priceIdColIndex).value = entry.id;
+        replayedCount++;
+      }
+      return;
+    }
+    
+    (rowsByCode[entry.code] || []).forEach(({ row, sheet }) => {
+      const productIdCell = row.getCell(sheet.productIdColIndex);
+      const priceIdCell = row.getCell(sheet.priceIdColIndex);
+      const linkId = getCellValue(row, sheet.paymentLinkIdColIndex);
+      
+      if (entry.type === 'product' && !productIdCell.value) {
+        productIdCell.value = entry.id;
+        replayedCount++;
+      } else if (entry.type === 'price' && productIdCell.value === entry.product &&
+          (!priceIdCell.value || priceIdCell.value === entry.replaces)) {
+        // Replacement prices only replace the price they were created for
+        priceIdCell.value = entry.id;
+        replayedCount++;
+      } else if (entry.type === 'payment_link' && sheet.paymentLinkIdColIndex && priceIdCell.value === entry.price &&
+          (linkId === null || linkId === entry.replaces)) {
+        writePaymentLink(sheet, row, entry);
+        replayedCount++;
+      }
+    });
+  });
+  
+  return replayedCount;
+}
+
+/**
+ * Build an idempotency key for a Stripe request
+ * 
+ * Keys are derived from the run ID and the request, so a resumed run that
+ * repeats a request gets back the object created the first time instead of
+ * a new one, while a new run can create the same object again. Stripe keeps
+ * idempotency keys for 24 hours.
+ * @param {...*} parts - Values that identify the request
+ * @returns {string} - Idempotency key
+ */
+function getIdempotencyKey(...parts) {
+  const { journal, account } = getSession();
+  const runId = journal ? journal.runId : null;
+  const key = account ? [runId, account, ...parts] : [runId, ...parts];
+  return `spu-${crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex')}`;
+}
+
+/**
+ * Validate the worksheet structure
+ * @param {Excel.Worksheet} worksheet - The worksheet to validate
+ * @param {Array<string>} [requiredColumns] - Columns the worksheet must have
+ * @param {number} [headerRowNumber] - Row number of the headers; the mapping's header row only applies to product worksheets
+ */
+function validateWorksheetStructure(worksheet, requiredColumns = REQUIRED_COLUMNS, headerRowNumber = 1) {
+  const { columnMapping } = getSession();
+  const headerRow = worksheet.getRow(headerRowNumber);
+  const columnIndices = getColumnIndices(headerRow);
+  
+  // A mapped header can't be read as a column the sheet already has
+  const headersByColumn = {};
+  headerRow.eachCell(cell => {
+    if (typeof cell.value !== 'string') {
+      return;
+    }
+    const column = mapHeader(cell.value, columnMapping);
+    if (headersByColumn[column] && (column !== cell.value || column !== headersByColumn[column])) {
+      throw new Error(`Columns "${headersByColumn[column]}" and "${cell.value}" in ${worksheet.name} are both read as ${column}`);
+    }
+    headersByColumn[column] = cell.value;
+  });
+  
+  // Check for required columns
+  const missingColumns = requiredColumns
+    .filter(columnName => !columnIndices[columnName])
+    .map(columnName => {
+      const mappedHeader = findMappedHeader(columnName, columnMapping);
+      return mappedHeader ? `${columnName} (mapped from "${mappedHeader}")` : columnName;
+    });
+  
+  if (missingColumns.length > 0) {
+    const location = headerRowNumber === 1 ? worksheet.name : `${worksheet.name} (header row ${headerRowNumber})`;
+    throw new Error(`Missing required columns in ${location}: ${missingColumns.join(', ')}`);
+  }
+}
+
+/**
+ * Refuse --prune when only some of the product worksheets are processed
+ * 
+ * Products on the other worksheets would look removed and be archived.
+ */
+function checkPruneSheets() {
+  const { options } = getSession();
+  if (options.prune && options.sheet !== undefined) {
+    throw new Error('--prune can\'t be combined with --sheet, since the products on the other worksheets would be archived (use --allSheets)');
+  }
+}
+
+/**
+ * Get the product worksheets to process
+ * 
+ * This is the first worksheet, the one named with --sheet, or with
+ * --allSheets every worksheet except the SPECIAL_SHEETS.
+ * @param {Excel.Workbook} workbook - The workbook being processed
+ * @returns {Array<Excel.Worksheet>} - Product worksheets, in workbook order
+ */
+function getProductWorksheets(workbook) {
+  const { options } = getSession();
+  if (options.sheet !== undefined && options.allSheets) {
+    throw new Error('--sheet can\'t be combined with --allSheets');
+  }
+  
+  if (options.sheet !== undefined) {
+    const worksheet = workbook.getWorksheet(options.sheet);
+    if (!worksheet) {
+      throw new Error(`Worksheet "${options.sheet}" not found (the workbook has ${workbook.worksheets.map(sheet => `"${sheet.name}"`).join(', ')})`);
+    }
+    if (SPECIAL_SHEETS.includes(worksheet.name)) {
+      throw new Error(`Worksheet "${options.sheet}" is not a product worksheet`);
+    }
+    return [worksheet];
+  }
+  
+  if (options.allSheets) {
+    // Empty worksheets, like an unused default sheet, are left alone
+    const worksheets = workbook.worksheets
+      .filter(worksheet => !SPECIAL_SHEETS.includes(worksheet.name) && worksheet.rowCount > 0);
+    if (worksheets.length === 0) {
+      throw new Error('No product worksheets found in the product file');
+    }
+    return worksheets;
+  }
+  
+  const worksheet = workbook.getWorksheet(1);
+  if (!worksheet) {
+    throw new Error('No worksheet found in the product file');
+  }
+  return [worksheet];
+}
+
+/**
+ * Describe where a row is, for log messages
+ * @param {string} sheetName - Name of the row's worksheet
+ * @param {number} rowNumber - Number of the row in the worksheet
+ * @returns {string} - e.g. "row 5", or "row 5 of Coffee" with --allSheets
+ */
+function describeRow(sheetName, rowNumber) {
+  const { options } = getSession();
+  return options.allSheets ? `row ${rowNumber} of ${sheetName}` : `row ${rowNumber}`;
+}
+
+/**
+ * Read the columns of a product worksheet
+ * 
+ * The ID columns are the ones of the connected account being synced, if any.
+ * @param {Excel.Worksheet} worksheet - The product worksheet
+ * @returns {Object} - The sheet ({ worksheet, sheetName, columnIndices, productIdColIndex, priceIdColIndex, paymentLinkColIndex, paymentLinkIdColIndex })
+ */
+function readProductSheet(worksheet) {
+  const { columnMapping, account } = getSession();
+  const columnIndices = getColumnIndices(worksheet.getRow(columnMapping.headerRow));
+  return {
+    worksheet,
+    sheetName: worksheet.name,
+    columnIndices,
+    productIdColIndex: columnIndices[getAccountColumn(STRIPE_PRODUCT_ID_COLUMN, account)],
+    priceIdColIndex: columnIndices[getAccountColumn(STRIPE_PRICE_ID_COLUMN, account)],
+    paymentLinkColIndex: columnIndices[getAccountColumn(PAYMENT_LINK_COLUMN, account)],
+    paymentLinkIdColIndex: columnIndices[getAccountColumn(STRIPE_PAYMENT_LINK_ID_COLUMN, account)]
+  };
+}
+
+/**
+ * Get the column numbers of a worksheet's headers
+ * @param {Excel.Row} headerRow - The header row
+ * @returns {Object} - Column numbers keyed by column name, after the --mapping file is applied
+ */
+function getColumnIndices(headerRow) {
+  const { columnMapping } = getSession();
+  const columnIndices = {};
+  headerRow.eachCell((cell, colNumber) => {
+    if (typeof cell.value === 'string') {
+      columnIndices[mapHeader(cell.value, columnMapping)] = colNumber;
+    }
+  });
+  return columnIndices;
+}
+
+/**
+ * Check whether a name is one of the columns the uploader reads or writes
+ * @param {string} column - Column name
+ * @returns {boolean} - True if the uploader knows the column
+ */
+function isKnownColumn(column) {
+  return [
+    ...REQUIRED_COLUMNS,
+    CURRENCY_COLUMN,
+    ...RECURRING_COLUMNS,
+    ...Object.keys(PRODUCT_ATTRIBUTE_COLUMNS),
+    ...Object.keys(PACKAGE_DIMENSION_COLUMNS),
+    STRIPE_PRODUCT_ID_COLUMN,
+    STRIPE_PRICE_ID_COLUMN,
+    SYNC_STATUS_COLUMN,
+    SYNC_ERROR_COLUMN,
+    PAYMENT_LINK_COLUMN,
+    STRIPE_PAYMENT_LINK_ID_COLUMN,
+    QUANTITY_ADJUSTABLE_COLUMN,
+    SUCCESS_URL_COLUMN
+  ].includes(column) ||
+    EXTRA_IMAGE_COLUMN_PATTERN.test(column) ||
+    CURRENCY_PRICE_COLUMN_PATTERN.test(column) ||
+    ACCOUNT_COLUMN_PATTERN.test(column) ||
+    (column.startsWith(META_COLUMN_PREFIX) && column.length > META_COLUMN_PREFIX.length);
+}
+
+/**
+ * Read the optional PRICE_TIERS worksheet
+ * 
+ * Each row describes one tier of a product's price, in order. TIERS_MODE only
+ * needs to be set on the first tier of each product.
+ * @param {Excel.Workbook} workbook - The workbook being processed
+ * @returns {Object} - Unvalidated tiers ({ tiersModes, tiers }) keyed by product code
+ */
+function readPriceTiers(workbook) {
+  const tiersSheet = workbook.getWorksheet(PRICE_TIERS_SHEET);
+  // An empty worksheet, e.g. an empty CSV sidecar file or JSON array, has no tiers
+  if (!tiersSheet || tiersSheet.actualRowCount === 0) {
+    return {};
+  }
+  
+  validateWorksheetStructure(tiersSheet, PRICE_TIERS_COLUMNS);
+  
+  const columnIndices = getColumnIndices(tiersSheet.getRow(1));
+  
+  const tiersByCode = {};
+  for (let rowNumber = 2; rowNumber <= tiersSheet.rowCount; rowNumber++) {
+    const row = tiersSheet.getRow(rowNumber);
+    const productCode = getCellValue(row, columnIndices.CODE);
+    if (productCode === null) {
+      continue;
+    }
+    
+    const priceTiers = tiersByCode[productCode.toString()] || { tiersModes: [], tiers: [] };
+    tiersByCode[productCode.toString()] = priceTiers;
+    
+    const tiersMode = getCellValue(row, columnIndices.TIERS_MODE);
+    if (tiersMode !== null) {
+      priceTiers.tiersModes.push(tiersMode.toString().trim().toLowerCase());
+    }
+    
+    priceTiers.tiers.push({
+      rowNumber,
+      upTo: getCellValue(row, columnIndices.UP_TO),
+      unitAmount: getCellValue(row, columnIndices.UNIT_AMOUNT),
+      flatAmount: getCellValue(row, columnIndices.FLAT_AMOUNT)
+    });
+  }
+  
+  return tiersByCode;
+}
+
+/**
+ * Validate the tiers of a product read from the PRICE_TIERS worksheet
+ * @param {Object} priceTiers - Tiers read by readPriceTiers
+ * @param {Object} priceSpec - Price spec of the product's row
+ * @returns {Array<Object>} - List of errors ({ column, message }), empty if the tiers are valid
+ */
+function validatePriceTiers(priceTiers, priceSpec) {
+  const errors = [];
+  const isAmount = value => value === null || parseAmount(value, priceSpec.currency) >= 0;
+  
+  // Stripe only supports tiered billing on recurring prices
+  if (!priceSpec.recurring) {
+    errors.push({ column: 'CODE', message: 'tiered prices require an INTERVAL' });
+  }
+  
+  if (Object.keys(priceSpec.currencyOptions).length > 0) {
+    errors.push({ column: 'CODE', message: 'tiered prices can\'t be combined with PRICE_<CURRENCY> columns' });
+  }
+  
+  const tiersModes = [...new Set(priceTiers.tiersModes)];
+  if (tiersModes.length !== 1) {
+    errors.push({ column: 'TIERS_MODE', message: `must be set to a single value (found ${tiersModes.length})` });
+  } else if (!TIERS_MODES.includes(tiersModes[0])) {
+    errors.push({ column: 'TIERS_MODE', message: `must be one of ${TIERS_MODES.join(', ')}` });
+  }
+  
+  let previousUpTo = 0;
+  priceTiers.tiers.forEach((tier, index) => {
+    const isLastTier = index === priceTiers.tiers.length - 1;
+    const isOpenEnded = tier.upTo === null || tier.upTo.toString().trim().toLowerCase() === 'inf';
+    
+    if (isLastTier && !isOpenEnded) {
+      errors.push({ column: 'UP_TO', message: `row ${tier.rowNumber}: the last tier must be open-ended (empty or "inf")` });
+    } else if (!isLastTier) {
+      const upTo = isOpenEnded ? NaN : Number(tier.upTo);
+      if (!Number.isInteger(upTo) || upTo <= previousUpTo) {
+        errors.push({ column: 'UP_TO', message: `row ${tier.rowNumber}: must be a whole number greater than the previous tier` });
+      } else {
+        previousUpTo = upTo;
+      }
+    }
+    
+    if (tier.unitAmount === null && tier.flatAmount === null) {
+      errors.push({ column: 'UNIT_AMOUNT', message: `row ${tier.rowNumber}: each tier needs a UNIT_AMOUNT or a FLAT_AMOUNT` });
+    }
+    if (!isAmount(tier.unitAmount)) {
+      errors.push({ column: 'UNIT_AMOUNT', message: `row ${tier.rowNumber}: must be a non-negative number` });
+    }
+    if (!isAmount(tier.flatAmount)) {
+      errors.push({ column: 'FLAT_AMOUNT', message: `row ${tier.rowNumber}: must be a non-negative number` });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Convert validated PRICE_TIERS rows into the tier fields of a price spec
+ * @param {Object} priceTiers - Tiers read by readPriceTiers
+ * @param {string} currency - Three-letter ISO currency code of the price
+ * @returns {Object} - Tier fields of a price spec ({ unitAmount, tiersMode, tiers })
+ */
+function buildPriceTiers(priceTiers, currency) {
+  const toAmount = value => value === null ? null : toStripeAmount(parseAmount(value, currency), currency);
+  
+  return {
+    unitAmount: null,
+    tiersMode: priceTiers.tiersModes[0],
+    tiers: priceTiers.tiers.map((tier, index) => ({
+      up_to: index === priceTiers.tiers.length - 1 ? 'inf' : Number(tier.upTo),
+      unit_amount: toAmount(tier.unitAmount),
+      flat_amount: toAmount(tier.flatAmount)
+    }))
+  };
+}
+
+/**
+ * Read the optional PRICES worksheet
+ * 
+ * Each row is an extra price of the product with the same CODE. Rows with a
+ * STRIPE_PRICE_ID are prices that already exist.
+ * @param {Excel.Workbook} workbook - The workbook being processed
+ * @returns {Object|null} - The worksheet, its column indices and its rows keyed by product code ({ worksheet, columnIndices, priceIdColIndex, rowsByCode }), or null if there is no PRICES worksheet or it is empty
+ */
+function readPricesSheet(workbook) {
+  const worksheet = workbook.getWorksheet(PRICES_SHEET);
+  if (!worksheet || worksheet.actualRowCount === 0) {
+    return null;
+  }
+  
+  validateWorksheetStructure(worksheet, PRICES_REQUIRED_COLUMNS);
+  
+  const columnIndices = getColumnIndices(worksheet.getRow(1));
+  const rowsByCode = {};
+  for (let rowNumber = 2; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const productCode = getCellValue(row, columnIndices.CODE);
+    if (productCode !== null) {
+      rowsByCode[productCode.toString()] = rowsByCode[productCode.toString()] || [];
+      rowsByCode[productCode.toString()].push({ row, rowNumber });
+    }
+  }
+  
+  const priceIdColIndex = columnIndices[getAccountColumn(STRIPE_PRICE_ID_COLUMN, getSession().account)];
+  return { worksheet, columnIndices, priceIdColIndex, rowsByCode };
+}
+
+/**
+ * Read and validate a row of the PRICES worksheet
+ * 
+ * Prices can't be changed once they exist, so the amount and billing columns
+ * are only read for rows without a STRIPE_PRICE_ID. ACTIVE, NICKNAME and
+ * LOOKUP_KEY are read for every row.
+ * @param {Object} pricesSheet - Worksheet read by readPricesSheet
+ * @param {Object} priceRow - The row and its number ({ row, rowNumber })
+ * @returns {Object} - The extra price ({ row, rowNumber, priceId, priceSpec, nickname, lookupKey, active, errors })
+ */
+function readExtraPrice(pricesSheet, priceRow) {
+  const { columnIndices, priceIdColIndex } = pricesSheet;
+  const { row, rowNumber } = priceRow;
+  const errors = [];
+  const addError = (column, message) => {
+    errors.push({ column: `${PRICES_SHEET} ${column}`, message: `row ${rowNumber}: ${message}` });
+  };
+  
+  const priceId = getCellValue(row, priceIdColIndex);
+  const currency = (getCellValue(row, columnIndices[CURRENCY_COLUMN]) || DEFAULT_CURRENCY).toString().trim().toLowerCase();
+  const priceSpec = { currency, unitAmount: null, currencyOptions: {}, recurring: null, tiersMode: null, tiers: null };
+  
+  if (priceId === null) {
+    const amountValue = getCellValue(row, columnIndices.AMOUNT);
+    if (!/^[a-z]{3}$/.test(currency)) {
+      addError(CURRENCY_COLUMN, `"${currency}" is not a currency code`);
+    } else {
+      const error = validateAmount(amountValue, currency);
+      if (error) {
+        addError('AMOUNT', error);
+      } else {
+        priceSpec.unitAmount = toStripeAmount(parseAmount(amountValue, currency), currency);
+      }
+    }
+    
+    const recurringValues = {};
+    RECURRING_COLUMNS.forEach(column => {
+      recurringValues[column] = getCellValue(row, columnIndices[column]);
+    });
+    const recurringErrors = validateRecurringColumns(recurringValues);
+    recurringErrors.forEach(error => addError(error.column, error.message));
+    if (recurringErrors.length === 0) {
+      priceSpec.recurring = buildRecurring(recurringValues);
+    }
+    
+    // TYPE is optional, but must agree with INTERVAL when given
+    const type = getCellValue(row, columnIndices.TYPE);
+    if (type !== null) {
+      const priceType = type.toString().trim().toLowerCase();
+      if (!PRICE_TYPES.includes(priceType)) {
+        addError('TYPE', `must be one of ${PRICE_TYPES.join(', ')}`);
+      } else if (priceType === 'recurring' && recurringValues.INTERVAL === null) {
+        addError('TYPE', 'recurring prices require an INTERVAL');
+      } else if (priceType === 'one_time' && recurringValues.INTERVAL !== null) {
+        addError('TYPE', 'one_time prices can\'t have an INTERVAL');
+      }
+    }
+  }
+  
+  let active = true;
+  const activeValue = getCellValue(row, columnIndices.ACTIVE);
+  if (activeValue !== null) {
+    active = typeof activeValue === 'boolean' ? activeValue : BOOLEAN_VALUES[activeValue.toString().trim().toLowerCase()];
+    if (active === undefined) {
+      addError('ACTIVE', 'must be TRUE or FALSE');
+      active = true;
+    }
+  }
+  
+  const nickname = getCellValue(row, columnIndices.NICKNAME);
+  const lookupKey = getCellValue(row, columnIndices.LOOKUP_KEY);
+  if (lookupKey !== null && lookupKey.toString().trim().length > MAX_LOOKUP_KEY_LENGTH) {
+    addError('LOOKUP_KEY', `must be at most ${MAX_LOOKUP_KEY_LENGTH} characters`);
+  }
+  
+  return {
+    row,
+    rowNumber,
+    priceId: priceId === null ? null : priceId.toString(),
+    priceSpec,
+    nickname: nickname === null ? null : nickname.toString().trim(),
+    lookupKey: lookupKey === null ? null : lookupKey.toString().trim(),
+    active,
+    errors
+  };
+}
+
+/**
+ * Get the value of a cell, treating missing columns and empty cells alike
+ * @param {Excel.Row} row - The row to read from
+ * @param {number} [colIndex] - Column index, or undefined if the column doesn't exist
+ * @returns {*} - The cell value, or null if there is none
+ */
+function getCellValue(row, colIndex) {
+  if (!colIndex) {
+    return null;
+  }
+  
+  const value = row.getCell(colIndex).value;
+  return value === '' || value === undefined ? null : value;
+}
+
+/**
+ * Read the image filenames of a row, in upload order
+ * @param {Excel.Row} row - The row to read from
+ * @param {Object} columnIndices - Column indices by header name
+ * @returns {Array<string>} - Image filenames from IMAGE followed by IMAGE_2 to IMAGE_8
+ */
+function readImageFileNames(row, columnIndices) {
+  const splitList = value => value === null ? [] : value.toString()
+    .split(IMAGE_LIST_SEPARATOR)
+    .map(fileName => fileName.trim())
+    .filter(fileName => fileName !== '');
+  
+  const extraImageColumns = Object.keys(columnIndices)
+    .filter(header => EXTRA_IMAGE_COLUMN_PATTERN.test(header))
+    .sort((a, b) => parseInt(a.match(EXTRA_IMAGE_COLUMN_PATTERN)[1], 10) - parseInt(b.match(EXTRA_IMAGE_COLUMN_PATTERN)[1], 10));
+  
+  return [
+    ...splitList(getCellValue(row, columnIndices.IMAGE)),
+    ...extraImageColumns.flatMap(header => splitList(getCellValue(row, columnIndices[header])))
+  ];
+}
+
+/**
+ * Read the META_<key> columns of a row
+ * @param {Excel.Row} row - The row to read from
+ * @param {Object} columnIndices - Column indices by header name
+ * @returns {Object} - Metadata values keyed by metadata key, null for empty cells
+ */
+function readMetadata(row, columnIndices) {
+  const metadata = {};
+  
+  Object.keys(columnIndices).forEach(header => {
+    if (header.startsWith(META_COLUMN_PREFIX)) {
+      const value = getCellValue(row, columnIndices[header]);
+      metadata[header.slice(META_COLUMN_PREFIX.length)] = value === null ? null : value.toString();
+    }
+  });
+  
+  return metadata;
+}
+
+/**
+ * Validate metadata read from META_<key> columns against Stripe's limits
+ * @param {Object} metadata - Metadata values keyed by metadata key
+ * @returns {Array<Object>} - List of errors ({ column, message }), empty if the metadata is valid
+ */
+function validateMetadata(metadata) {
+  const errors = [];
+  
+  Object.entries(metadata).forEach(([key, value]) => {
+    const column = `${META_COLUMN_PREFIX}${key}`;
+    
+    if (key === '') {
+      errors.push({ column, message: 'metadata key is empty' });
+    } else if (RESERVED_METADATA_KEYS.includes(key)) {
+      errors.push({ column, message: `metadata key "${key}" is managed by this script` });
+    } else if (key.length > MAX_METADATA_KEY_LENGTH) {
+      errors.push({ column, message: `metadata key must be at most ${MAX_METADATA_KEY_LENGTH} characters` });
+    } else if (/[[\]]/.test(key)) {
+      errors.push({ column, message: 'metadata key can\'t contain square brackets' });
+    }
+    
+    if (value !== null && value.length > MAX_METADATA_VALUE_LENGTH) {
+      errors.push({ column, message: `value must be at most ${MAX_METADATA_VALUE_LENGTH} characters` });
+    }
+  });
+  
+  const keyCount = Object.values(metadata).filter(value => value !== null).length + RESERVED_METADATA_KEYS.length;
+  if (keyCount > MAX_METADATA_KEYS) {
+    errors.push({ column: `${META_COLUMN_PREFIX}*`, message: `Stripe allows at most ${MAX_METADATA_KEYS} metadata keys (${RESERVED_METADATA_KEYS.length} are used by this script)` });
+  }
+  
+  return errors;
+}
+
+/**
+ * Read the product attribute columns of a row
+ * @param {Excel.Row} row - The row to read from
+ * @param {Object} columnIndices - Column indices by header name
+ * @returns {Object} - Cell values keyed by column name, only for columns the worksheet has
+ */
+function readAttributeValues(row, columnIndices) {
+  const values = {};
+  
+  [...Object.keys(PRODUCT_ATTRIBUTE_COLUMNS), ...Object.keys(PACKAGE_DIMENSION_COLUMNS)].forEach(column => {
+    if (columnIndices[column]) {
+      values[column] = getCellValue(row, columnIndices[column]);
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Check whether a value is an http or https URL
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if the value is an http or https URL
+ */
+function isHttpUrl(value) {
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  return ['http:', 'https:'].includes(url.protocol);
+}
+
+/**
+ * Read and validate the payment link settings of a row
+ * @param {Excel.Row} row - The row to read from
+ * @param {Object} columnIndices - Column indices by header name
+ * @returns {Object} - The settings ({ quantityAdjustable, successUrl }, null where the cell is empty) and the list of errors ({ settings, errors })
+ */
+function readPaymentLinkSettings(row, columnIndices) {
+  const errors = [];
+  
+  let quantityAdjustable = getCellValue(row, columnIndices[QUANTITY_ADJUSTABLE_COLUMN]);
+  if (quantityAdjustable !== null && typeof quantityAdjustable !== 'boolean') {
+    quantityAdjustable = BOOLEAN_VALUES[quantityAdjustable.toString().trim().toLowerCase()] ?? null;
+    if (quantityAdjustable === null) {
+      errors.push({ column: QUANTITY_ADJUSTABLE_COLUMN, message: 'must be TRUE or FALSE' });
+    }
+  }
+  
+  let successUrl = getCellValue(row, columnIndices[SUCCESS_URL_COLUMN]);
+  if (successUrl !== null) {
+    successUrl = successUrl.toString().trim();
+    if (!isHttpUrl(successUrl)) {
+      errors.push({ column: SUCCESS_URL_COLUMN, message: 'must be an http or https URL' });
+      successUrl = null;
+    }
+  }
+  
+  return { settings: { quantityAdjustable, successUrl }, errors };
+}
+
+/**
+ * Split a semicolon-separated list of marketing features
+ * @param {*} value - Cell value
+ * @returns {Array<string>} - Feature names
+ */
+function splitMarketingFeatures(value) {
+  return value.toString()
+    .split(MARKETING_FEATURES_SEPARATOR)
+    .map(feature => feature.trim())
+    .filter(feature => feature !== '');
+}
+
+/**
+ * Validate product attribute values
+ * @param {Object} values - Cell values keyed by column name
+ * @returns {Array<Object>} - List of errors ({ column, message }), empty if the values are valid
+ */
+function validateProductAttributes(values) {
+  const errors = [];
+  const present = column => values[column] !== undefined && values[column] !== null;
+  
+  if (present('TAX_CODE') && !/^txcd_\d{8}$/.test(values.TAX_CODE.toString().trim())) {
+    errors.push({ column: 'TAX_CODE', message: 'must be a Stripe tax code such as txcd_99999999' });
+  }
+  
+  if (present('UNIT_LABEL') && values.UNIT_LABEL.toString().length > MAX_UNIT_LABEL_LENGTH) {
+    errors.push({ column: 'UNIT_LABEL', message: `must be at most ${MAX_UNIT_LABEL_LENGTH} characters` });
+  }
+  
+  // See https://stripe.com/docs/statement-descriptors#requirements
+  if (present('STATEMENT_DESCRIPTOR')) {
+    const descriptor = values.STATEMENT_DESCRIPTOR.toString();
+    if (descriptor.length < 5 || descriptor.length > 22) {
+      errors.push({ column: 'STATEMENT_DESCRIPTOR', message: 'must be between 5 and 22 characters' });
+    }
+    if (!/^[\x20-\x7E]*$/.test(descriptor) || /[<>\\'"*]/.test(descriptor)) {
+      errors.push({ column: 'STATEMENT_DESCRIPTOR', message: 'can only contain Latin characters and can\'t contain < > \\ \' " *' });
+    }
+    if (!/[a-zA-Z]/.test(descriptor)) {
+      errors.push({ column: 'STATEMENT_DESCRIPTOR', message: 'must contain at least one letter' });
+    }
+  }
+  
+  if (present('SHIPPABLE') && typeof values.SHIPPABLE !== 'boolean' &&
+      !(values.SHIPPABLE.toString().trim().toLowerCase() in BOOLEAN_VALUES)) {
+    errors.push({ column: 'SHIPPABLE', message: 'must be TRUE or FALSE' });
+  }
+  
+  if (present('URL') && !isHttpUrl(values.URL.toString().trim())) {
+    errors.push({ column: 'URL', message: 'must be an http or https URL' });
+  }
+  
+  if (present('MARKETING_FEATURES')) {
+    const features = splitMarketingFeatures(values.MARKETING_FEATURES);
+    if (features.length > MAX_MARKETING_FEATURES) {
+      errors.push({ column: 'MARKETING_FEATURES', message: `must list at most ${MAX_MARKETING_FEATURES} features` });
+    }
+    if (features.some(feature => feature.length > MAX_MARKETING_FEATURE_LENGTH)) {
+      errors.push({ column: 'MARKETING_FEATURES', message: `each feature must be at most ${MAX_MARKETING_FEATURE_LENGTH} characters` });
+    }
+  }
+  
+  const dimensionColumns = Object.keys(PACKAGE_DIMENSION_COLUMNS).filter(present);
+  dimensionColumns.forEach(column => {
+    const dimension = Number(values[column]);
+    if (isNaN(dimension) || dimension <= 0) {
+      errors.push({ column, message: 'must be a positive number' });
+    }
+  });
+  if (dimensionColumns.length > 0 && dimensionColumns.length < Object.keys(PACKAGE_DIMENSION_COLUMNS).length) {
+    errors.push({ column: 'PACKAGE_*', message: `${Object.keys(PACKAGE_DIMENSION_COLUMNS).join(', ')} must all be set together` });
+  }
+  
+  return errors;
+}
+
+/**
+ * Convert validated attribute values to Stripe product fields
+ * @param {Object} values - Cell values keyed by column name
+ * @returns {Object} - Product fields for the columns the worksheet has, null where the cell is empty
+ */
+function buildProductAttributes(values) {
+  const attributes = {};
+  
+  Object.entries(PRODUCT_ATTRIBUTE_COLUMNS).forEach(([column, field]) => {
+    if (values[column] === undefined) {
+      return;
+    }
+    
+    const value = values[column];
+    if (value === null) {
+      attributes[field] = null;
+    } else if (field === 'shippable') {
+      attributes[field] = typeof value === 'boolean' ? value : BOOLEAN_VALUES[value.toString().trim().toLowerCase()];
+    } else if (field === 'marketing_features') {
+      attributes[field] = splitMarketingFeatures(value);
+    } else {
+      attributes[field] = value.toString().trim();
+    }
+  });
+  
+  const dimensionColumns = Object.keys(PACKAGE_DIMENSION_COLUMNS).filter(column => values[column] !== undefined);
+  if (dimensionColumns.length > 0) {
+    const isEmpty = dimensionColumns.every(column => values[column] === null);
+    attributes.package_dimensions = isEmpty ? null : {};
+    if (!isEmpty) {
+      Object.entries(PACKAGE_DIMENSION_COLUMNS).forEach(([column, dimension]) => {
+        attributes.package_dimensions[dimension] = Number(values[column]);
+      });
+    }
+  }
+  
+  return attributes;
+}
+
+/**
+ * Get a product attribute from a Stripe product in the format built by buildProductAttributes
+ * @param {Object} product - Stripe product object
+ * @param {string} field - Stripe product field
+ * @returns {*} - Attribute value, or null if it isn't set
+ */
+function getProductAttribute(product, field) {
+  const value = product[field];
+  
+  if (field === 'tax_code') {
+    // The tax code may be expanded into an object
+    return (value && typeof value === 'object' ? value.id : value) || null;
+  }
+  if (field === 'marketing_features') {
+    return value && value.length > 0 ? value.map(feature => feature.name) : null;
+  }
+  if (field === 'package_dimensions') {
+    return value ? { height: value.height, length: value.length, weight: value.weight, width: value.width } : null;
+  }
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Convert a product attribute to a Stripe API parameter
+ * @param {string} field - Stripe product field
+ * @param {*} value - Attribute value, or null to unset it
+ * @returns {*} - Parameter value
+ */
+function toProductAttributeParam(field, value) {
+  if (value === null) {
+    // Stripe unsets optional fields that are set to an empty string
+    return '';
+  }
+  if (field === 'marketing_features') {
+    return value.map(name => ({ name }));
+  }
+  return value;
+}
+
+/**
+ * Read the PRICE_<CURRENCY> columns of a row
+ * @param {Excel.Row} row - The row to read from
+ * @param {Object} columnIndices - Column indices by header name
+ * @returns {Object} - Amounts in the smallest currency unit, keyed by lowercase currency code
+ */
+function readCurrencyOptions(row, columnIndices) {
+  const currencyOptions = {};
+  
+  Object.keys(columnIndices).forEach(header => {
+    const match = header.match(CURRENCY_PRICE_COLUMN_PATTERN);
+    const value = match ? getCellValue(row, columnIndices[header]) : null;
+    if (value !== null) {
+      const optionCurrency = match[1].toLowerCase();
+      currencyOptions[optionCurrency] = toStripeAmount(parseAmount(value, optionCurrency), optionCurrency);
+    }
+  });
+  
+  return currencyOptions;
+}
+
+/**
+ * Build the recurring settings of a price from validated row values
+ * @param {Object} values - Cell values keyed by column name (INTERVAL, INTERVAL_COUNT, USAGE_TYPE, TRIAL_DAYS)
+ * @returns {Object|null} - Recurring settings, or null for a one-time price
+ */
+function buildRecurring(values) {
+  if (values.INTERVAL === null) {
+    return null;
+  }
+  
+  return {
+    interval: values.INTERVAL.toString().trim().toLowerCase(),
+    interval_count: values.INTERVAL_COUNT !== null ? parseInt(values.INTERVAL_COUNT, 10) : 1,
+    usage_type: values.USAGE_TYPE !== null ? values.USAGE_TYPE.toString().trim().toLowerCase() : 'licensed',
+    trial_period_days: values.TRIAL_DAYS !== null ? parseInt(values.TRIAL_DAYS, 10) : null
+  };
+}
+
+/**
+ * Build a price spec from an existing Stripe price
+ * @param {Object} price - Stripe price object (with currency_options expanded)
+ * @returns {Object} - Price spec ({ currency, unitAmount, currencyOptions, recurring, tiersMode, tiers })
+ */
+function getPriceSpec(price) {
+  const currencyOptions = {};
+  Object.entries(price.currency_options || {}).forEach(([optionCurrency, option]) => {
+    // Stripe lists the price's own currency among its currency options
+    if (optionCurrency !== price.currency) {
+      currencyOptions[optionCurrency] = option.unit_amount;
+    }
+  });
+  
+  return {
+    currency: price.currency,
+    unitAmount: price.unit_amount ?? null,
+    currencyOptions,
+    recurring: price.recurring ? {
+      interval: price.recurring.interval,
+      interval_count: price.recurring.interval_count || 1,
+      usage_type: price.recurring.usage_type || 'licensed',
+      trial_period_days: price.recurring.trial_period_days ?? null
+    } : null,
+    tiersMode: price.billing_scheme === 'tiered' ? price.tiers_mode : null,
+    tiers: price.billing_scheme === 'tiered' ? (price.tiers || []).map(tier => ({
+      up_to: tier.up_to ?? 'inf',
+      unit_amount: tier.unit_amount ?? null,
+      flat_amount: tier.flat_amount ?? null
+    })) : null
+  };
+}
+
+/**
+ * Check whether two price specs describe the same price
+ * @param {Object} a - Price spec
+ * @param {Object} b - Price spec
+ * @returns {boolean} - True if the specs are equal
+ */
+function priceSpecsEqual(a, b) {
+  if (a.currency !== b.currency || a.unitAmount !== b.unitAmount) {
+    return false;
+  }
+  
+  if (a.recurring || b.recurring) {
+    if (!a.recurring || !b.recurring) {
+      return false;
+    }
+    const recurringEqual = ['interval', 'interval_count', 'usage_type', 'trial_period_days']
+      .every(field => a.recurring[field] === b.recurring[field]);
+    if (!recurringEqual) {
+      return false;
+    }
+  }
+  
+  if (a.tiersMode !== b.tiersMode || JSON.stringify(a.tiers) !== JSON.stringify(b.tiers)) {
+    return false;
+  }
+  
+  const aCurrencies = Object.keys(a.currencyOptions);
+  const bCurrencies = Object.keys(b.currencyOptions);
+  return aCurrencies.length === bCurrencies.length &&
+    aCurrencies.every(optionCurrency => a.currencyOptions[optionCurrency] === b.currencyOptions[optionCurrency]);
+}
+
+/**
+ * Describe a price spec for log output
+ * @param {Object} priceSpec - Price spec
+ * @returns {string} - Description such as "12.50 USD (+ 11.00 EUR) every 3 months"
+ *   or "graduated tiers: up to 10 at 5.00 USD, rest at 4.00 USD per month"
+ */
+function describePriceSpec(priceSpec) {
+  const formatAmount = (unitAmount, currency) =>
+    `${fromStripeAmount(unitAmount, currency).toFixed(getCurrencyDecimals(currency))} ${currency.toUpperCase()}`;
+  
+  const options = Object.entries(priceSpec.currencyOptions)
+    .map(([optionCurrency, unitAmount]) => formatAmount(unitAmount, optionCurrency));
+  
+  let description;
+  if (priceSpec.tiers) {
+    const tiers = priceSpec.tiers.map(tier => {
+      const amounts = [];
+      if (tier.unit_amount !== null) {
+        amounts.push(formatAmount(tier.unit_amount, priceSpec.currency));
+      }
+      if (tier.flat_amount !== null) {
+        amounts.push(`${formatAmount(tier.flat_amount, priceSpec.currency)} flat`);
+      }
+      return `${tier.up_to === 'inf' ? 'rest' : `up to ${tier.up_to}`} at ${amounts.join(' + ')}`;
+    });
+    description = `${priceSpec.tiersMode} tiers: ${tiers.join(', ')}`;
+  } else {
+    description = formatAmount(priceSpec.unitAmount, priceSpec.currency);
+  }
+  
+  if (options.length > 0) {
+    description += ` (+ ${options.join(', ')})`;
+  }
+  
+  const recurring = priceSpec.recurring;
+  if (recurring) {
+    description += recurring.interval_count === 1 ?
+      ` per ${recurring.interval}` :
+      ` every ${recurring.interval_count} ${recurring.interval}s`;
+    if (recurring.usage_type === 'metered') {
+      description += ', metered';
+    }
+    if (recurring.trial_period_days) {
+      description += `, ${recurring.trial_period_days}-day trial`;
+    }
+  }
+  
+  return description;
+}
+
+/**
+ * Upload an image to Stripe and create a public FileLink
+ * 
+ * Identical files are uploaded once per run, and their FileLink URL is
+ * reused for every product that lists them.
+ * @param {string} imagePath - Path to the image file
+ * @param {string} productCode - Product code the image belongs to
+ * @returns {Promise<string>} - Public URL for the image
+ */
+async function uploadImageToStripe(imagePath, productCode) {
+  logger.debug(`Uploading image: ${imagePath}`);
+  
+  // Validate that the file exists
+  if (!fs.existsSync(imagePath)) {
+    throw new Error(`Image file not found: ${imagePath}`);
+  }
+  
+  // Get file stats to check size
+  const stats = fs.statSync(imagePath);
+  if (stats.size === 0) {
+    throw new Error(`Image file is empty: ${imagePath}`);
+  }
+  
+  const { uploadedImages } = getSession();
+  const fileHash = getFileHash(imagePath);
+  if (uploadedImages.has(fileHash)) {
+    logger.debug(`Reusing the upload of an identical image for ${imagePath}`);
+    return uploadedImages.get(fileHash);
+  }
+  
+  // Rows running at the same time wait for the same upload; a failed upload can be retried
+  const upload = uploadImageFile(imagePath, productCode, fileHash);
+  uploadedImages.set(fileHash, upload);
+  upload.catch(() => uploadedImages.delete(fileHash));
+  return upload;
+}
+
+/**
+ * Convert an image if needed, upload it to Stripe and create a public FileLink
+ * @param {string} imagePath - Path to the image file
+ * @param {string} productCode - Product code the image belongs to
+ * @param {string} fileHash - Hash of the image file
+ * @returns {Promise<string>} - Public URL for the image
+ */
+async function uploadImageFile(imagePath, productCode, fileHash) {
+  const stripe = getStripe();
+  try {
+    // 1. Read the file, converting formats and sizes Stripe doesn't accept
+    const image = await prepareImage(imagePath);
+    const { ext, mimeType } = IMAGE_TYPES[image.type];
+    const fileName = image.converted ? `${path.basename(imagePath, path.extname(imagePath))}${ext}` : path.basename(imagePath);
+    if (image.converted) {
+      logger.debug(`Converted ${imagePath} to ${IMAGE_TYPES[image.type].label} (${image.data.length} bytes)`);
+    } else {
+      logger.debug(`Successfully read image file (${image.data.length} bytes)`);
+    }
+    
+    // 2. Upload the file to Stripe
+    const file = await callStripe(() => stripe.files.create({
+      purpose: 'product_image',
+      file: {
+        data: image.data,
+        name: fileName,
+        type: mimeType,
+      },
+    }, getRequestOptions({
+      idempotencyKey: getIdempotencyKey('file', productCode, path.basename(imagePath), fileHash)
+    })));
+    
+    recordJournalEntry({ type: 'file', id: file.id, code: productCode });
+    logger.success(`Successfully uploaded image to Stripe: ${file.id}`);
+    
+    // 3. Create a FileLink to make the file publicly accessible
+    const fileLink = await callStripe(() => stripe.fileLinks.create({
+      file: file.id,
+    }, getRequestOptions({
+      idempotencyKey: getIdempotencyKey('file_link', productCode, file.id)
+    })));
+    
+    recordJournalEntry({ type: 'file_link', id: fileLink.id, file: file.id, url: fileLink.url, code: productCode });
+    logger.success(`Created public FileLink: ${fileLink.url}`);
+    
+    return fileLink.url;
+  } catch (error) {
+    throw new Error(`Failed to upload image to Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Calculate the SHA-256 hash of a file
+ * @param {string} filePath - Path to the file
+ * @returns {string} - Hex-encoded hash of the file contents
+ */
+function getFileHash(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Calculate a hash of a workbook, including the sidecar files of a CSV workbook
+ * @param {string} filePath - Path to the workbook file
+ * @returns {string} - Hex-encoded hash of the workbook
+ */
+function getWorkbookHash(filePath) {
+  const files = listWorkbookFiles(filePath);
+  if (files.length === 1) {
+    return getFileHash(filePath);
+  }
+  
+  const hash = crypto.createHash('sha256');
+  files.forEach(file => hash.update(`${path.basename(file)}\0${getFileHash(file)}\0`));
+  return hash.digest('hex');
+}
+
+/**
+ * Calculate a single hash for an ordered list of images
+ * 
+ * A single image hashes to its own file hash, so products created with one
+ * image keep a matching image_hash.
+ * @param {Array<string>} imagePaths - Paths to the image files, in order
+ * @returns {string} - Hex-encoded hash of the images
+ */
+function getImagesHash(imagePaths) {
+  const fileHashes = imagePaths.map(getFileHash);
+  if (fileHashes.length === 1) {
+    return fileHashes[0];
+  }
+  return crypto.createHash('sha256').update(fileHashes.join('\n')).digest('hex');
+}
+
+/**
+ * Upload images to Stripe in order
+ * @param {Array<string>} imagePaths - Paths to the image files
+ * @param {string} productCode - Product code the images belong to
+ * @returns {Promise<Array<string>>} - Public URLs for the images, in the same order
+ */
+async function uploadImagesToStripe(imagePaths, productCode) {
+  const imageUrls = [];
+  for (const imagePath of imagePaths) {
+    imageUrls.push(await uploadImageToStripe(imagePath, productCode));
+  }
+  return imageUrls;
+}
+
+/**
+ * Create a product in Stripe
+ * @param {Object} productData - Row data ({ code, name, description, imagePaths, metadata, attributes })
+ * @returns {Promise<Object>} - Stripe product object
+ */
+async function createStripeProduct(productData) {
+  const stripe = getStripe();
+  // First upload the images and get public URLs
+  const imageHash = getImagesHash(productData.imagePaths);
+  const imageUrls = await uploadImagesToStripe(productData.imagePaths, productData.code);
+  
+  logger.debug(`Using public image URLs for product: ${imageUrls.join(', ')}`);
+  
+  // Then create the product with the images
+  try {
+    // Empty META_ cells are left out of the metadata
+    const metadata = {};
+    Object.entries(productData.metadata).forEach(([key, value]) => {
+      if (value !== null) {
+        metadata[key] = value;
+      }
+    });
+    
+    // Empty attribute cells are left out as well
+    const attributeParams = {};
+    Object.entries(productData.attributes).forEach(([field, value]) => {
+      if (value !== null) {
+        attributeParams[field] = toProductAttributeParam(field, value);
+      }
+    });
+    
+    const params = {
+      name: productData.name,
+      description: productData.description,
+      ...attributeParams,
+      metadata: {
+        ...metadata,
+        product_code: productData.code,
+        image_hash: imageHash
+      },
+      images: imageUrls
+    };
+    
+    const product = await callStripe(() => stripe.products.create(params, getRequestOptions({
+      idempotencyKey: getIdempotencyKey('product', productData.code, params)
+    })));
+    recordJournalEntry({ type: 'product', id: product.id, code: productData.code });
+    
+    // Verify the product was created with the image
+    if (!product.images || product.images.length === 0) {
+      logger.warn(`Warning: Product created but no images were attached. Product ID: ${product.id}`);
+    } else {
+      logger.debug(`Product created with ${product.images.length} images: ${product.images.join(', ')}`);
+    }
+    
+    return product;
+  } catch (error) {
+    throw new Error(`Failed to create product in Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Compare a Stripe product against the data from an Excel row
+ * @param {Object} product - Stripe product object
+ * @param {Object} productData - Row data ({ name, description, metadata, attributes })
+ * @param {string} imageHash - Hash of the row's images
+ * @returns {Array<Object>} - List of changed fields ({ field, from, to })
+ */
+function diffProduct(product, productData, imageHash) {
+  const changes = [];
+  
+  if (product.name !== productData.name) {
+    changes.push({ field: 'name', from: product.name, to: productData.name });
+  }
+  
+  const currentDescription = product.description || '';
+  if (currentDescription !== productData.description) {
+    changes.push({ field: 'description', from: currentDescription, to: productData.description });
+  }
+  
+  // Products created by this script store the hash of the uploaded image in their metadata.
+  // Products without one keep their images, which are taken to match the row's files
+  const currentImageHash = product.metadata?.image_hash || null;
+  if (currentImageHash !== imageHash && !lacksImageHash(product)) {
+    changes.push({ field: 'image', from: currentImageHash, to: imageHash });
+  }
+  
+  // Only attributes with a column are compared; an empty cell unsets the attribute
+  Object.entries(productData.attributes).forEach(([field, value]) => {
+    const currentValue = getProductAttribute(product, field);
+    // Stripe can't unset shippable, so an empty SHIPPABLE cell leaves it alone
+    if (field === 'shippable' && value === null) {
+      return;
+    }
+    if (JSON.stringify(currentValue) !== JSON.stringify(value)) {
+      changes.push({ field, from: currentValue, to: value });
+    }
+  });
+  
+  // Only keys with a META_ column are compared; an empty cell removes the key
+  Object.entries(productData.metadata).forEach(([key, value]) => {
+    const currentValue = product.metadata?.[key] ?? null;
+    if (currentValue !== value) {
+      changes.push({ field: `metadata.${key}`, from: currentValue, to: value });
+    }
+  });
+  
+  return changes;
+}
+
+/**
+ * Check whether a product has images but no image hash, e.g. because it was created in the Dashboard
+ * @param {Object} product - Stripe product object
+ * @returns {boolean} - Whether the product has images without an image_hash metadata key
+ */
+function lacksImageHash(product) {
+  return !product.metadata?.image_hash && (product.images || []).length > 0;
+}
+
+/**
+ * Build an index of the active Stripe products created by this script
+ * @returns {Promise<Map>} - Arrays of Stripe product objects keyed by product code, oldest first
+ */
+async function buildProductCodeIndex() {
+  const stripe = getStripe();
+  logger.info('Fetching existing products from Stripe to check for duplicates...');
+  
+  let products;
+  try {
+    products = await fetchAllProducts(stripe, { params: { active: true }, request: callStripe, quiet: true, requestOptions: getRequestOptions() });
+  } catch (error) {
+    throw new Error(`Failed to list products in Stripe: ${error.message}`);
+  }
+  
+  const index = createProductCodeIndex(products);
+  
+  logger.debug(`Indexed ${index.size} product codes from ${products.length} active products`);
+  return index;
+}
+
+/**
+ * Index active products by product code
+ * @param {Array<Object>} products - Stripe product objects
+ * @returns {Map} - Arrays of active Stripe product objects keyed by product code, oldest first
+ */
+function createProductCodeIndex(products) {
+  const index = new Map();
+  products.filter(product => product.active).forEach(product => addToProductCodeIndex(index, product));
+  
+  // Prefer the oldest product when a code has already been duplicated
+  index.forEach(codeProducts => codeProducts.sort((a, b) => a.created - b.created));
+  
+  return index;
+}
+
+/**
+ * Add a product to a product code index
+ * @param {Map|null} index - Index built by buildProductCodeIndex, or null if it hasn't been built yet
+ * @param {Object} product - Stripe product object
+ */
+function addToProductCodeIndex(index, product) {
+  const productCode = product.metadata?.product_code;
+  if (!index || !productCode) {
+    return;
+  }
+  
+  if (!index.has(productCode)) {
+    index.set(productCode, []);
+  }
+  index.get(productCode).push(product);
+}
+
+/**
+ * Find an existing product and price for a product code
+ * @param {Map} index - Index built by buildProductCodeIndex
+ * @param {string} productCode - Product code to look up
+ * @param {Object} priceSpec - Price spec of the row, used to pick a price when the product has no default price
+ * @returns {Promise<Object|null>} - The product and price ID ({ product, priceId }), or null if there is none
+ */
+async function findExistingProduct(index, productCode, priceSpec) {
+  const stripe = getStripe();
+  const products = index.get(productCode) || [];
+  if (products.length === 0) {
+    return null;
+  }
+  
+  const product = products[0];
+  if (products.length > 1) {
+    logger.warn(`Warning: ${products.length} active Stripe products have product code ${productCode}: ${products.map(p => p.id).join(', ')}. Using ${product.id}`);
+  }
+  
+  // Use the default price, or else an active price, preferably one matching the row
+  const defaultPriceId = getDefaultPriceId(product);
+  if (defaultPriceId) {
+    return { product, priceId: defaultPriceId };
+  }
+  
+  let prices;
+  try {
+    const response = await callStripe(() => stripe.prices.list({
+      product: product.id,
+      active: true,
+      limit: 100,
+      expand: ['data.currency_options', 'data.tiers'],
+    }, getRequestOptions()));
+    prices = response.data;
+  } catch (error) {
+    throw new Error(`Failed to list prices of product ${product.id} in Stripe: ${error.message}`);
+  }
+  
+  const price = prices.find(p => priceSpecsEqual(getPriceSpec(p), priceSpec)) || prices[0];
+  return { product, priceId: price ? price.id : null };
+}
+
+/**
+ * Update an existing product in Stripe with the fields that differ from the Excel row
+ * @param {string} productId - Stripe product ID
+ * @param {Object} productData - Row data ({ code, name, description, imagePaths, metadata, attributes })
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @returns {Promise<Object>} - The Stripe product object and the changed fields ({ product, changes })
+ */
+async function updateStripeProduct(productId, productData, dryRun) {
+  const stripe = getStripe();
+  let product;
+  try {
+    product = await callStripe(() => stripe.products.retrieve(productId, getRequestOptions()));
+  } catch (error) {
+    throw new Error(`Failed to retrieve product ${productId} from Stripe: ${error.message}`);
+  }
+  
+  const imageHash = getImagesHash(productData.imagePaths);
+  const changes = diffProduct(product, productData, imageHash);
+  
+  // Record the hash of the current files, so that later changes to them are found
+  const recordsImageHash = lacksImageHash(product);
+  
+  if (changes.length === 0) {
+    if (recordsImageHash && !dryRun) {
+      product = await recordImageHash(productId, imageHash);
+    }
+    logger.debug(`Product ${productId} is up to date`);
+    return { product, changes };
+  }
+  
+  changes.forEach(change => {
+    logger.debug(`  ${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+  });
+  
+  if (dryRun) {
+    logger.notice(`[DRY RUN] Would update Stripe product ${productId} (${changes.map(change => change.field).join(', ')})`);
+    return { product, changes };
+  }
+  
+  const params = recordsImageHash ? { metadata: { image_hash: imageHash } } : {};
+  for (const change of changes) {
+    if (change.field === 'image') {
+      // Only re-upload the images when a local file has changed
+      params.images = await uploadImagesToStripe(productData.imagePaths, productData.code);
+      params.metadata = { ...params.metadata, image_hash: change.to };
+    } else if (change.field.startsWith('metadata.')) {
+      // Stripe removes metadata keys that are set to an empty string
+      params.metadata = { ...params.metadata, [change.field.slice('metadata.'.length)]: change.to ?? '' };
+    } else if (change.field in productData.attributes) {
+      params[change.field] = toProductAttributeParam(change.field, change.to);
+    } else {
+      params[change.field] = change.to;
+    }
+  }
+  
+  try {
+    const updatedProduct = await callStripe(() => stripe.products.update(productId, params, getRequestOptions()));
+    logger.success(`Updated Stripe product: ${updatedProduct.id} (${changes.map(change => change.field).join(', ')})`);
+    return { product: updatedProduct, changes };
+  } catch (error) {
+    throw new Error(`Failed to update product in Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Store the hash of a product's images without uploading them again
+ * @param {string} productId - Stripe product ID
+ * @param {string} imageHash - Hash of the row's images
+ * @returns {Promise<Object>} - The updated Stripe product object
+ */
+async function recordImageHash(productId, imageHash) {
+  const stripe = getStripe();
+  try {
+    const product = await callStripe(() => stripe.products.update(productId, { metadata: { image_hash: imageHash } }, getRequestOptions()));
+    logger.debug(`Recorded the image hash of product ${productId}`);
+    return product;
+  } catch (error) {
+    throw new Error(`Failed to update product in Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Create a price in Stripe
+ * @param {string} productId - Stripe product ID
+ * @param {Object} priceSpec - Price spec ({ currency, unitAmount, currencyOptions, recurring, tiersMode, tiers }) in the smallest currency unit
+ * @param {string} productCode - Product code, used as nickname unless another one is given
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.replaces] - ID of the price this one replaces, if any
+ * @param {string|null} [options.nickname] - Nickname of the price
+ * @param {string|null} [options.lookupKey] - Lookup key of the price
+ * @param {number|null} [options.pricesRow] - Row of the PRICES worksheet, for extra prices
+ * @returns {Promise<Object>} - Stripe price object
+ */
+async function createStripePrice(productId, priceSpec, productCode, options = {}) {
+  const stripe = getStripe();
+  const { replaces = null, nickname = null, lookupKey = null, pricesRow = null } = options;
+  logger.debug(`Creating price for product ${productId}: ${describePriceSpec(priceSpec)}`);
+  
+  const params = {
+    product: productId,
+    unit_amount: priceSpec.unitAmount,
+    currency: priceSpec.currency,
+    nickname: nickname || productCode
+  };
+  
+  if (lookupKey) {
+    params.lookup_key = lookupKey;
+  }
+  
+  if (Object.keys(priceSpec.currencyOptions).length > 0) {
+    params.currency_options = {};
+    Object.entries(priceSpec.currencyOptions).forEach(([optionCurrency, unitAmount]) => {
+      params.currency_options[optionCurrency] = { unit_amount: unitAmount };
+    });
+  }
+  
+  if (priceSpec.tiers) {
+    delete params.unit_amount;
+    params.billing_scheme = 'tiered';
+    params.tiers_mode = priceSpec.tiersMode;
+    params.tiers = priceSpec.tiers.map(tier => {
+      const stripeTier = { up_to: tier.up_to };
+      if (tier.unit_amount !== null) {
+        stripeTier.unit_amount = tier.unit_amount;
+      }
+      if (tier.flat_amount !== null) {
+        stripeTier.flat_amount = tier.flat_amount;
+      }
+      return stripeTier;
+    });
+  }
+  
+  if (priceSpec.recurring) {
+    params.recurring = {
+      interval: priceSpec.recurring.interval,
+      interval_count: priceSpec.recurring.interval_count,
+      usage_type: priceSpec.recurring.usage_type
+    };
+    if (priceSpec.recurring.trial_period_days !== null) {
+      params.recurring.trial_period_days = priceSpec.recurring.trial_period_days;
+    }
+  }
+  
+  try {
+    // Extra prices are told apart by their row, since two of them may be alike
+    const price = await callStripe(() => stripe.prices.create(params, getRequestOptions({
+      idempotencyKey: getIdempotencyKey('price', productCode, params, replaces, ...(pricesRow ? [pricesRow] : []))
+    })));
+    recordJournalEntry({ type: 'price', id: price.id, product: productId, replaces, code: productCode, ...(pricesRow ? { pricesRow } : {}) });
+    
+    logger.debug(`Price created successfully: ${price.id}, amount: ${price.billing_scheme === 'tiered' ? 'tiered' : price.unit_amount} ${price.currency}`);
+    return price;
+  } catch (error) {
+    throw new Error(`Failed to create price in Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Retrieve a price from Stripe
+ * @param {string} priceId - Stripe price ID
+ * @returns {Promise<Object>} - Stripe price object
+ */
+async function retrieveStripePrice(priceId) {
+  const stripe = getStripe();
+  try {
+    return await callStripe(() => stripe.prices.retrieve(priceId, { expand: ['currency_options', 'tiers'] }, getRequestOptions()));
+  } catch (error) {
+    throw new Error(`Failed to retrieve price ${priceId} from Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Replace a product's price with a new one
+ * 
+ * Creates the new price, makes it the product's default price and then
+ * archives the old price (Stripe won't archive a product's default price).
+ * @param {string} productId - Stripe product ID
+ * @param {Object} oldPrice - Stripe price object being replaced
+ * @param {Object} priceSpec - Price spec for the new price
+ * @param {string} productCode - Product code to use as nickname
+ * @returns {Promise<Object>} - The new Stripe price object
+ */
+async function replaceStripePrice(productId, oldPrice, priceSpec, productCode) {
+  const stripe = getStripe();
+  const price = await createStripePrice(productId, priceSpec, productCode, { replaces: oldPrice.id });
+  logger.success(`Created Stripe price: ${price.id}`);
+  
+  await setDefaultPrice(productId, price.id);
+  
+  try {
+    await callStripe(() => stripe.prices.update(oldPrice.id, { active: false }, getRequestOptions()));
+    logger.success(`Archived old Stripe price: ${oldPrice.id}`);
+  } catch (error) {
+    throw new Error(`Failed to replace price ${oldPrice.id} in Stripe: ${error.message}`);
+  }
+  
+  return price;
+}
+
+/**
+ * Make a price the default price of its product
+ * @param {string} productId - Stripe product ID
+ * @param {string} priceId - Stripe price ID
+ * @returns {Promise<void>}
+ */
+async function setDefaultPrice(productId, priceId) {
+  const stripe = getStripe();
+  try {
+    await callStripe(() => stripe.products.update(productId, { default_price: priceId }, getRequestOptions()));
+    logger.debug(`Set default price of product ${productId} to ${priceId}`);
+  } catch (error) {
+    throw new Error(`Failed to set the default price of product ${productId} in Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Create a payment link for a price
+ * @param {string} priceId - Stripe price ID
+ * @param {Object} settings - Payment link settings ({ quantityAdjustable, successUrl })
+ * @param {string} productCode - Product code, stored in the link's metadata
+ * @param {Object|null} [replacedLink] - Stripe payment link object this link replaces, if any
+ * @returns {Promise<Object>} - Stripe payment link object
+ */
+async function createPaymentLink(priceId, settings, productCode, replacedLink = null) {
+  const stripe = getStripe();
+  const quantityAdjustable = Boolean(settings.quantityAdjustable);
+  
+  const params = {
+    line_items: [{
+      price: priceId,
+      quantity: 1,
+      ...(quantityAdjustable ? { adjustable_quantity: { enabled: true } } : {})
+    }],
+    metadata: {
+      product_code: productCode,
+      [QUANTITY_ADJUSTABLE_METADATA_KEY]: String(quantityAdjustable)
+    }
+  };
+  
+  if (settings.successUrl) {
+    params.after_completion = buildAfterCompletion(settings.successUrl);
+  }
+  
+  const replaces = replacedLink ? replacedLink.id : null;
+  try {
+    const link = await callStripe(() => stripe.paymentLinks.create(params, getRequestOptions({
+      idempotencyKey: getIdempotencyKey('payment_link', productCode, params, replaces)
+    })));
+    recordJournalEntry({
+      type: 'payment_link',
+      id: link.id,
+      url: link.url,
+      price: priceId,
+      replaces,
+      replacesUrl: replacedLink ? replacedLink.url : null,
+      code: productCode
+    });
+    return link;
+  } catch (error) {
+    throw new Error(`Failed to create payment link in Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Get the after_completion parameter of a payment link
+ * @param {string|null} successUrl - URL to redirect to after a payment, or null for Stripe's confirmation page
+ * @returns {Object} - The after_completion parameter
+ */
+function buildAfterCompletion(successUrl) {
+  return successUrl
+    ? { type: 'redirect', redirect: { url: successUrl } }
+    : { type: 'hosted_confirmation' };
+}
+
+/**
+ * Retrieve a payment link from Stripe, with its line items
+ * @param {string} linkId - Stripe payment link ID
+ * @returns {Promise<Object>} - Stripe payment link object
+ */
+async function retrievePaymentLink(linkId) {
+  const stripe = getStripe();
+  try {
+    return await callStripe(() => stripe.paymentLinks.retrieve(linkId, { expand: ['line_items'] }, getRequestOptions()));
+  } catch (error) {
+    throw new Error(`Failed to retrieve payment link ${linkId} from Stripe: ${error.message}`);
+  }
+}
+
+/**
+ * Write a payment link's URL and ID to its row
+ * @param {Object} context - The row's sheet, with its payment link column indices
+ * @param {Excel.Row} row - The row to write to
+ * @param {Object} link - Stripe payment link object
+ */
+function writePaymentLink(context, row, link) {
+  row.getCell(context.paymentLinkColIndex).value = link.url;
+  row.getCell(context.paymentLinkIdColIndex).value = link.id;
+}
+
+/**
+ * Record a price replacement in the PRICE_HISTORY worksheet, if the workbook has one
+ * @param {Excel.Workbook} workbook - The workbook being processed
+ * @param {string} productCode - Product code
+ * @param {string} productId - Stripe product ID
+ * @param {Object} oldPrice - Stripe price object that was replaced
+ * @param {Object} newPrice - Stripe price object that replaced it
+ */
+function recordPriceChange(workbook, productCode, productId, oldPrice, newPrice) {
+  const historySheet = workbook.getWorksheet(PRICE_HISTORY_SHEET);
+  if (!historySheet) {
+    return;
+  }
+  
+  // Add headers to an empty history sheet
+  if (historySheet.rowCount === 0) {
+    historySheet.addRow(PRICE_HISTORY_COLUMNS);
+    historySheet.getRow(1).font = { bold: true };
+  }
+  
+  historySheet.addRow([
+    new Date().toISOString(),
+    productCode,
+    productId,
+    oldPrice.id,
+    oldPrice.unit_amount !== null ? fromStripeAmount(oldPrice.unit_amount, oldPrice.currency) : 'tiered',
+    newPrice.id,
+    newPrice.unit_amount !== null ? fromStripeAmount(newPrice.unit_amount, newPrice.currency) : 'tiered',
+    oldPrice.currency.toUpperCase(),
+    newPrice.currency.toUpperCase()
+  ]);
+}
+
+/**
+ * Read the products of the Excel file, without connecting to Stripe
+ * @returns {Promise<Array>} - Products by worksheet ({ sheet, products }), each product being { row, code, productData, priceSpec, extraPrices, errors }
+ */
+async function read() {
+  const { options, columnMapping } = getSession();
+  if (!fs.existsSync(options.file)) {
+    throw new Error(`Input file not found: ${options.file}`);
+  }
+  
+  const workbook = await readWorkbook(options.file);
+  const worksheets = getProductWorksheets(workbook);
+  worksheets.forEach(worksheet => {
+    validateWorksheetStructure(worksheet, REQUIRED_COLUMNS, columnMapping.headerRow);
+  });
+  
+  const tiersByCode = readPriceTiers(workbook);
+  const pricesSheet = readPricesSheet(workbook);
+  
+  return worksheets.map(readProductSheet).map(sheet => {
+    const context = { tiersByCode, pricesSheet, ...sheet };
+    const products = [];
+    for (let rowNumber = columnMapping.headerRow + 1; rowNumber <= sheet.worksheet.rowCount; rowNumber++) {
+      const row = sheet.worksheet.getRow(rowNumber);
+      const productCode = getCellValue(row, sheet.columnIndices.CODE);
+      if (productCode !== null) {
+        products.push({ row: rowNumber, code: productCode.toString(), ...readProductRow(context, row) });
+      }
+    }
+    return { sheet: sheet.sheetName, products };
+  });
+}
+
+/**
+ * Run an uploader command with its own session
+ * @param {Object} options - Options of the command, with the stripe client, logger and onProgress callback
+ * @param {Function} command - Async function that runs the command
+ * @returns {Promise<*>} - Result of the command
+ */
+async function runUploaderSession(options, command) {
+  const { stripe, logger: sessionLogger, onProgress, ...commandOptions } = options || {};
+  const mergedOptions = { ...DEFAULT_OPTIONS, ...commandOptions };
+  const accounts = parseAccounts(mergedOptions.account);
+  
+  // With a single --account, every command works on that account; with
+  // several, the upload syncs them in turn
+  return runSession({
+    options: mergedOptions,
+    stripe,
+    accounts,
+    account: accounts.length === 1 ? accounts[0] : null,
+    logger: sessionLogger,
+    onProgress,
+    columnMapping: loadColumnMapping(mergedOptions.mapping, isKnownColumn),
+    journal: null,
+    nextRequestTime: 0,
+    uploadedImages: new Map()
+  }, command);
+}
+
+/**
+ * Read the products of a file, with the problems found in each row
+ * @param {Object} options - Options ({ file, sheet, allSheets, sheetCategory, mapping, logger })
+ * @returns {Promise<Array>} - Products by worksheet ({ sheet, products })
+ */
+async function readCatalog(options) {
+  return runUploaderSession(options, read);
+}
+
+/**
+ * Check a file for problems without connecting to Stripe
+ * @param {Object} options - Options ({ file, sheet, allSheets, mapping, logger })
+ * @returns {Promise<Object>} - Findings and their counts ({ file, errors, warnings, findings })
+ */
+async function validateCatalog(options) {
+  return runUploaderSession(options, validate);
+}
+
+/**
+ * Compare a file against the products and prices in Stripe
+ * @param {Object} options - Options ({ file, stripe, out, prune, sheet, allSheets, mapping, logger })
+ * @returns {Promise<Object>} - Planned changes by row and their counts ({ entries, counts })
+ */
+async function planCatalog(options) {
+  return runUploaderSession(options, plan);
+}
+
+/**
+ * Upload the products of a file to Stripe and write their IDs back to it
+ * @param {Object} options - Options ({ file, stripe, output, update, dryRun, prune, yes, confirm, apply, resume, concurrency, continueOnError, logger, onProgress, ... })
+ * @returns {Promise<Object>} - Summary of the run ({ runId, counts, rows, ... })
+ */
+async function uploadCatalog(options) {
+  return runUploaderSession(options, upload);
+}
+
+/**
+ * Undo an upload from its journal
+ * @param {Object} options - Options ({ run, stripe, file, dryRun, logger })
+ * @returns {Promise<void>}
+ */
+async function rollbackRun(options) {
+  return runUploaderSession(options, rollback);
+}
+
+module.exports = {
+  readCatalog,
+  validateCatalog,
+  planCatalog,
+  uploadCatalog,
+  rollbackRun
+};
@@ -0,0 +1,397 @@
+/**
+ * Workbook I/O
+ * 
+ * Reads and writes product workbooks as Excel (.xlsx), CSV (.csv) or JSON
+ * (.json) files, chosen by file extension. CSV and JSON files are loaded into
+ * an exceljs workbook, so the scripts work the same way whatever the format.
+ * 
+ * CSV files hold one worksheet each. The first worksheet is stored in the
+ * file itself, and every other worksheet in a sidecar file next to it named
+ * <base>.<SHEET>.csv, e.g. products.PRICE_TIERS.csv. CSV values are read as
+ * text, exactly as written, so codes like 00123 keep their leading zeros.
+ * 
+ * JSON files hold an object with one array of rows per worksheet, in order.
+ * Each row is an object keyed by the worksheet's headers:
+ *   { "Products": [{ "CODE": "A1", "PRICE": 10.5 }], "PRICE_TIERS": [] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Excel = require('exceljs');
+
+// Supported formats, by file extension
+const WORKBOOK_FORMATS = ['xlsx', 'csv', 'json'];
+
+// Name of the first worksheet when a CSV file is read
+const DEFAULT_SHEET_NAME = 'Products';
+
+// Sidecar worksheet names, e.g. PRICE_TIERS in products.PRICE_TIERS.csv
+const SIDECAR_SHEET_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// UTF-8 byte order mark, added by some spreadsheet programs
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * Get the format of a workbook file from its extension
+ * @param {string} filePath - Path to the workbook file
+ * @returns {string} - One of WORKBOOK_FORMATS
+ */
+function getWorkbookFormat(filePath) {
+  const format = path.extname(filePath).slice(1).toLowerCase();
+  if (!WORKBOOK_FORMATS.includes(format)) {
+    throw new Error(`Unsupported file type "${path.extname(filePath)}" for ${filePath} (use ${WORKBOOK_FORMATS.map(f => `.${f}`).join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * List the files a workbook is stored in
+ * @param {string} filePath - Path to the workbook file
+ * @returns {Array<string>} - The file itself, followed by its CSV sidecar files, if any
+ */
+function listWorkbookFiles(filePath) {
+  if (getWorkbookFormat(filePath) !== 'csv') {
+    return [filePath];
+  }
+  
+  return [filePath, ...findSidecarFiles(filePath).map(sidecar => sidecar.filePath)];
+}
+
+/**
+ * Find the sidecar files of a CSV workbook
+ * @param {string} filePath - Path to the main CSV file
+ * @returns {Array<Object>} - Sidecar files ({ sheetName, filePath }), sorted by sheet name
+ */
+function findSidecarFiles(filePath) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, path.extname(filePath));
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(dir)
+    .map(fileName => {
+      if (!fileName.startsWith(`${base}.`) || path.extname(fileName).toLowerCase() !== '.csv') {
+        return null;
+      }
+      const sheetName = fileName.slice(base.length + 1, -'.csv'.length);
+      return SIDECAR_SHEET_PATTERN.test(sheetName) ? { sheetName, filePath: path.join(dir, fileName) } : null;
+    })
+    .filter(sidecar => sidecar !== null)
+    .sort((a, b) => a.sheetName.localeCompare(b.sheetName));
+}
+
+/**
+ * Read a workbook from an Excel, CSV or JSON file
+ * @param {string} filePath - Path to the workbook file
+ * @returns {Promise<Excel.Workbook>} - The workbook
+ */
+async function readWorkbook(filePath) {
+  const format = getWorkbookFormat(filePath);
+  const workbook = new Excel.Workbook();
+  
+  if (format === 'xlsx') {
+    await workbook.xlsx.readFile(filePath);
+  } else if (format === 'csv') {
+    addRows(workbook.addWorksheet(DEFAULT_SHEET_NAME), parseCsv(readText(filePath)));
+    findSidecarFiles(filePath).forEach(sidecar => {
+      addRows(workbook.addWorksheet(sidecar.sheetName), parseCsv(readText(sidecar.filePath)));
+    });
+  } else {
+    // An empty array is kept as an empty worksheet, like an empty CSV sidecar
+    readJsonSheets(readText(filePath), filePath).forEach(({ sheetName, rows }) => {
+      addRows(workbook.addWorksheet(sheetName), rows);
+    });
+  }
+  
+  return workbook;
+}
+
+/**
+ * Check that a workbook can be written to a file in the file's format
+ * 
+ * Only CSV files restrict the worksheets: every worksheet after the first
+ * goes in a sidecar file, named after the worksheet.
+ * @param {Excel.Workbook} workbook - The workbook
+ * @param {string} filePath - Path to the workbook file; the extension sets the format
+ * @throws {Error} - If a worksheet can't be saved in the format
+ */
+function checkWorkbookWritable(workbook, filePath) {
+  if (getWorkbookFormat(filePath) !== 'csv') {
+    return;
+  }
+  
+  workbook.worksheets.slice(1).forEach(worksheet => {
+    if (!SIDECAR_SHEET_PATTERN.test(worksheet.name)) {
+      throw new Error(`Worksheet "${worksheet.name}" can't be saved as a CSV sidecar file (names must be uppercase letters, digits and underscores)`);
+    }
+  });
+}
+
+/**
+ * Write a workbook to an Excel, CSV or JSON file
+ * @param {Excel.Workbook} workbook - The workbook
+ * @param {string} filePath - Path to the workbook file; the extension sets the format
+ * @returns {Promise<void>}
+ */
+async function writeWorkbook(workbook, filePath) {
+  const format = getWorkbookFormat(filePath);
+  
+  if (format === 'xlsx') {
+    await workbook.xlsx.writeFile(filePath);
+    return;
+  }
+  
+  // Every worksheet is checked before the first file is written
+  checkWorkbookWritable(workbook, filePath);
+  
+  const worksheets = workbook.worksheets;
+  if (format === 'csv') {
+    const dir = path.dirname(filePath);
+    const base = path.basename(filePath, path.extname(filePath));
+    
+    worksheets.forEach((worksheet, index) => {
+      const sheetPath = index === 0 ? filePath : path.join(dir, `${base}.${worksheet.name}.csv`);
+      fs.writeFileSync(sheetPath, formatCsv(getRows(worksheet)), 'utf8');
+    });
+    return;
+  }
+  
+  const sheets = {};
+  worksheets.forEach(worksheet => {
+    const [headers = [], ...rows] = getRows(worksheet);
+    sheets[worksheet.name] = rows.map(values => {
+      const row = {};
+      headers.forEach((header, index) => {
+        if (header !== null) {
+          row[header] = values[index] ?? null;
+        }
+      });
+      return row;
+    });
+  });
+  fs.writeFileSync(filePath, `${JSON.stringify(sheets, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Read a UTF-8 text file, without its byte order mark
+ * @param {string} filePath - Path to the file
+ * @returns {string} - File contents
+ */
+function readText(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return text.startsWith(BYTE_ORDER_MARK) ? text.slice(BYTE_ORDER_MARK.length) : text;
+}
+
+/**
+ * Add rows of values to a worksheet
+ * @param {Excel.Worksheet} worksheet - The worksheet
+ * @param {Array<Array>} rows - Rows of cell values; empty strings are left empty
+ */
+function addRows(worksheet, rows) {
+  rows.forEach(values => {
+    worksheet.addRow(values.map(value => (value === '' ? null : value)));
+  });
+}
+
+/**
+ * Get the values of a worksheet's rows, without trailing empty rows and cells
+ * @param {Excel.Worksheet} worksheet - The worksheet
+ * @returns {Array<Array>} - Rows of cell values (strings, numbers, booleans or null)
+ */
+function getRows(worksheet) {
+  const rows = [];
+  let columnCount = 0;
+  
+  for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const values = [];
+    for (let colNumber = 1; colNumber <= row.cellCount; colNumber++) {
+      values.push(toPlainValue(row.getCell(colNumber).value));
+    }
+    while (values.length > 0 && values[values.length - 1] === null) {
+      values.pop();
+    }
+    columnCount = Math.max(columnCount, values.length);
+    rows.push(values);
+  }
+  
+  while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+    rows.pop();
+  }
+  
+  // Every row gets the same number of cells, so CSV columns line up
+  return rows.map(values => [...values, ...Array(columnCount - values.length).fill(null)]);
+}
+
+/**
+ * Convert an exceljs cell value to a plain value
+ * @param {*} value - Cell value
+ * @returns {string|number|boolean|null} - Plain value
+ */
+function toPlainValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  
+  if (typeof value === 'object') {
+    // Rich text, hyperlinks and formulas
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return toPlainValue(value.text);
+    }
+    if (value.result !== undefined) {
+      return toPlainValue(value.result);
+    }
+    return JSON.stringify(value);
+  }
+  
+  return value;
+}
+
+/**
+ * Parse CSV text (RFC 4180) into rows of strings
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of field values
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+  
+  while (i < text.length) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+    
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+  
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV file');
+  }
+  
+  // The last line may not end with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+/**
+ * Format rows of values as CSV text (RFC 4180)
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} - CSV text, one line per row
+ */
+function formatCsv(rows) {
+  return rows.map(values => values.map(formatCsvField).join(',')).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+/**
+ * Format a value as a CSV field, quoting it when needed
+ * @param {*} value - Cell value
+ * @returns {string} - CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse the worksheets of a JSON workbook
+ * @param {string} text - JSON text
+ * @param {string} filePath - Path to the file, for error messages
+ * @returns {Array<Object>} - Worksheets ({ sheetName, rows }), with the headers as the first row
+ */
+function readJsonSheets(text, filePath) {
+  let sheets;
+  try {
+    sheets = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+  
+  if (sheets === null || typeof sheets !== 'object' || Array.isArray(sheets)) {
+    throw new Error(`${filePath} must contain an object with one array of rows per worksheet`);
+  }
+  
+  return Object.entries(sheets).map(([sheetName, rows]) => {
+    if (!Array.isArray(rows)) {
+      throw new Error(`Worksheet "${sheetName}" in ${filePath} must be an array of rows`);
+    }
+    
+    // Headers in the order they first appear
+    const headers = [];
+    rows.forEach((row, index) => {
+      if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+        throw new Error(`Row ${index + 1} of worksheet "${sheetName}" in ${filePath} must be an object`);
+      }
+      Object.entries(row).forEach(([header, value]) => {
+        if (value !== null && typeof value === 'object') {
+          throw new Error(`${header} in row ${index + 1} of worksheet "${sheetName}" in ${filePath} must be a string, number, boolean or null`);
+        }
+        if (!headers.includes(header)) {
+          headers.push(header);
+        }
+      });
+    });
+    
+    // An empty array has no header row
+    return {
+      sheetName,
+      rows: rows.length === 0 ? [] : [headers, ...rows.map(row => headers.map(header => row[header] ?? null))]
+    };
+  });
+}
+
+module.exports = {
+  WORKBOOK_FORMATS,
+  getWorkbookFormat,
+  listWorkbookFiles,
+  readWorkbook,
+  writeWorkbook,
+  checkWorkbookWritable
+};
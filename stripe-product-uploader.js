@@ -5,39 +5,92 @@
  * 
  * This script reads product data from an Excel file and creates products in Stripe.
  * It then updates the Excel file with the Stripe Product and Price IDs.
+ * The validate, plan and rollback commands check a file, preview an upload
+ * and undo a run. See --help for every option, and the README for the
+ * columns the file can have.
  * 
  * Usage:
  *   node stripe-product-uploader.js --file=products.xlsx
+ *   node stripe-product-uploader.js --file=products.xlsx --update
+ *   node stripe-product-uploader.js validate --file=products.xlsx
+ *   node stripe-product-uploader.js plan --file=products.xlsx --out=plan.json
+ *   node stripe-product-uploader.js rollback --run=2024-05-01_10-30-00-123_4f9a2c
  * 
  * Environment variables:
- *   STRIPE_API_KEY - Your Stripe API key (required)
+ *   STRIPE_API_KEY - Your Stripe API key (required, except for validate)
  *   STRIPE_API_VERSION - Stripe API version (optional)
  */
 
 // Import dependencies
-const fs = require('fs');
-const path = require('path');
-const Excel = require('exceljs');
+const readline = require('readline');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const dotenv = require('dotenv');
 const chalk = require('chalk');
-const Stripe = require('stripe');
+const { validateCatalog, planCatalog, uploadCatalog, rollbackRun } = require('./lib/uploader');
+const { SILENT_LOGGER } = require('./lib/session');
+const { CONSOLE_LOGGER, createStripeClient } = require('./lib/cli');
 
 // Load environment variables
 dotenv.config();
 
 // Parse command-line arguments
 const argv = yargs(hideBin(process.argv))
+  .command('$0', 'Upload products from the Excel file to Stripe', command => command
+    .demandOption('file'))
+  .command('validate', 'Check the Excel file for problems without connecting to Stripe', command => command
+    .demandOption('file')
+    .option('json', {
+      describe: 'Print the findings as JSON instead of a table',
+      type: 'boolean',
+      default: false
+    }))
+  .command('plan', 'Show what an upload with --update would change in Stripe, without changing anything', command => command
+    .demandOption('file')
+    .option('out', {
+      describe: 'Save the plan to a JSON file, to upload it later with --apply',
+      type: 'string'
+    }))
+  .command('rollback', 'Undo a run: archive what it created in Stripe and clear its IDs from the Excel file', command => command
+    .option('run', {
+      describe: 'ID of the run to roll back, as printed at the start of the run',
+      type: 'string',
+      demandOption: true
+    }))
+  .strict()
   .option('file', {
     alias: 'f',
-    describe: 'Path to the Excel file containing product data',
+    describe: 'Path to the Excel, CSV or JSON file containing product data (for rollback, defaults to the file the run wrote to)',
+    type: 'string'
+  })
+  .option('mapping', {
+    alias: 'm',
+    describe: 'Path to a JSON or YAML file that maps sheet headers to columns and sets the header row and number locale',
+    type: 'string'
+  })
+  .option('sheet', {
+    alias: 's',
+    describe: 'Name of the worksheet with the products (defaults to the first worksheet)',
+    type: 'string'
+  })
+  .option('allSheets', {
+    describe: 'Process every worksheet of the workbook, except PRICE_TIERS, PRICE_HISTORY and PRICES',
+    type: 'boolean',
+    default: false
+  })
+  .option('sheetCategory', {
+    describe: 'Set the category metadata of each product to the name of its worksheet, unless it has a META_category cell',
+    type: 'boolean',
+    default: false
+  })
+  .option('account', {
+    describe: 'ID of a Stripe Connect account to sync to instead of the platform account (can be repeated, or IDs separated by commas)',
     type: 'string',
-    demandOption: true
+    array: true
   })
   .option('output', {
     alias: 'o',
-    describe: 'Path to save the updated Excel file (defaults to overwriting the input file)',
+    describe: 'Path to save the updated file, in the format of its extension (defaults to overwriting the input file)',
     type: 'string'
   })
   .option('dryRun', {
@@ -46,6 +99,67 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('failOnDuplicate', {
+    describe: 'Stop with an error instead of reusing an existing Stripe product with the same product code',
+    type: 'boolean',
+    default: false
+  })
+  .option('resume', {
+    alias: 'r',
+    describe: 'Continue a crashed run from its journal (the latest unfinished run for the file, or the given run ID)',
+    type: 'string'
+  })
+  .option('update', {
+    alias: 'u',
+    describe: 'Update existing Stripe products and prices that changed in the Excel file',
+    type: 'boolean',
+    default: false
+  })
+  .option('prune', {
+    describe: 'Archive active Stripe products whose product code is no longer in the Excel file, and their active prices',
+    type: 'boolean',
+    default: false
+  })
+  .option('yes', {
+    alias: 'y',
+    describe: 'Archive the products found by --prune without asking for confirmation',
+    type: 'boolean',
+    default: false
+  })
+  .option('paymentLinks', {
+    describe: 'Create a payment link for each row\'s price and write its URL to the PAYMENT_LINK column',
+    type: 'boolean',
+    default: false
+  })
+  .option('apply', {
+    describe: 'Upload with --update after checking that the file and Stripe haven\'t changed since the given plan was made',
+    type: 'string'
+  })
+  .option('continueOnError', {
+    describe: 'Record failed rows in the SYNC_STATUS and SYNC_ERROR columns and carry on with the next row',
+    type: 'boolean',
+    default: false
+  })
+  .option('summary', {
+    describe: 'Path to write the JSON summary of the run to (defaults to journals/<run ID>.summary.json)',
+    type: 'string'
+  })
+  .option('concurrency', {
+    alias: 'c',
+    describe: 'Number of products to process at the same time',
+    type: 'number',
+    default: 1
+  })
+  .option('rateLimit', {
+    describe: 'Maximum number of Stripe API requests per second',
+    type: 'number',
+    default: 20
+  })
+  .option('maxRetries', {
+    describe: 'Number of times to retry a Stripe API request that failed with a rate limit, network or server error',
+    type: 'number',
+    default: 5
+  })
   .help()
   .alias('help', 'h')
   .version()
@@ -53,327 +167,79 @@ const argv = yargs(hideBin(process.argv))
   .example('$0 --file=products.xlsx', 'Process products from products.xlsx')
   .example('$0 --file=products.xlsx --output=updated_products.xlsx', 'Save results to a new file')
   .example('$0 --file=products.xlsx --dryRun', 'Perform a dry run')
+  .example('$0 --file=products.xlsx --update', 'Create new products and update changed ones')
+  .example('$0 --file=products.xlsx --resume', 'Continue the last run that crashed')
+  .example('$0 --file=products.xlsx --concurrency=8', 'Process 8 products at a time')
+  .example('$0 --file=products.xlsx --continueOnError', 'Record failed rows and carry on')
+  .example('$0 validate --file=products.xlsx', 'Check the file without uploading anything')
+  .example('$0 plan --file=products.xlsx --out=plan.json', 'Save a plan of the changes')
+  .example('$0 --file=products.xlsx --apply=plan.json', 'Upload the changes of a saved plan')
+  .example('$0 --file=products.xlsx --prune', 'Archive products that were removed from the file')
+  .example('$0 --file=products.csv', 'Process products from a CSV file')
+  .example('$0 --file=supplier.xlsx --mapping=supplier.yaml', 'Process a sheet with its own headers')
+  .example('$0 --file=catalog.xlsx --allSheets --sheetCategory', 'Process every worksheet, one category per sheet')
+  .example('$0 --file=products.xlsx --account=acct_1A2b3C --account=acct_4D5e6F', 'Sync the products to two connected accounts')
+  .example('$0 --file=products.xlsx --update --paymentLinks', 'Create payment links, and replace those of changed prices')
+  .example('$0 rollback --run=2024-05-01_10-30-00-123_4f9a2c', 'Undo a run')
   .argv;
 
-// Validate environment variables
-if (!process.env.STRIPE_API_KEY) {
-  console.error(chalk.red('Error: STRIPE_API_KEY environment variable is required.'));
-  console.error(chalk.yellow('Please set it in a .env file or as an environment variable.'));
-  process.exit(1);
-}
+// Command to run (uploading is the default)
+const command = argv._[0] || 'upload';
 
-// Initialize Stripe client
-const stripe = new Stripe(process.env.STRIPE_API_KEY, {
-  apiVersion: process.env.STRIPE_API_VERSION || null,
-});
+// Initialize Stripe client (validate works offline and needs no key)
+const stripe = createStripeClient({ required: command !== 'validate' });
 
-// Required columns in the Excel file
-const REQUIRED_COLUMNS = ['CODE', 'NAME', 'DESCRIPTION', 'PRICE', 'IMAGE'];
-const STRIPE_PRODUCT_ID_COLUMN = 'STRIPE_PRODUCT_ID';
-const STRIPE_PRICE_ID_COLUMN = 'STRIPE_PRICE_ID';
+/**
+ * Ask a yes/no question in the terminal
+ * @param {string} question - Question to ask
+ * @returns {Promise<boolean>} - True if the answer was yes
+ */
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(question, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
 
 /**
  * Main function
  */
 async function main() {
+  const options = { ...argv, stripe, logger: CONSOLE_LOGGER };
+  
   try {
-    const inputFilePath = argv.file;
-    const outputFilePath = argv.output || inputFilePath;
-    
-    console.log(chalk.blue('Starting Stripe Product Uploader'));
-    console.log(chalk.gray(`Input file: ${inputFilePath}`));
-    console.log(chalk.gray(`Output file: ${outputFilePath}`));
-    
-    if (argv.dryRun) {
-      console.log(chalk.yellow('DRY RUN MODE: No changes will be made to Stripe or the Excel file'));
-    }
-    
-    // Validate input file exists
-    if (!fs.existsSync(inputFilePath)) {
-      throw new Error(`Input file not found: ${inputFilePath}`);
-    }
-    
-    // Read the Excel file
-    console.log(chalk.blue('Reading Excel file...'));
-    const workbook = new Excel.Workbook();
-    await workbook.xlsx.readFile(inputFilePath);
-    
-    // Get the first worksheet
-    const worksheet = workbook.getWorksheet(1);
-    if (!worksheet) {
-      throw new Error('No worksheet found in the Excel file');
-    }
-    
-    // Validate worksheet structure
-    validateWorksheetStructure(worksheet);
-    
-    // Add Stripe ID columns if they don't exist
-    const headerRow = worksheet.getRow(1);
-    let productIdColIndex = -1;
-    let priceIdColIndex = -1;
-    
-    headerRow.eachCell((cell, colNumber) => {
-      if (cell.value === STRIPE_PRODUCT_ID_COLUMN) {
-        productIdColIndex = colNumber;
-      } else if (cell.value === STRIPE_PRICE_ID_COLUMN) {
-        priceIdColIndex = colNumber;
-      }
-    });
-    
-    // Add columns if they don't exist
-    if (productIdColIndex === -1) {
-      productIdColIndex = headerRow.cellCount + 1;
-      headerRow.getCell(productIdColIndex).value = STRIPE_PRODUCT_ID_COLUMN;
-    }
-    
-    if (priceIdColIndex === -1) {
-      priceIdColIndex = headerRow.cellCount + 1;
-      headerRow.getCell(priceIdColIndex).value = STRIPE_PRICE_ID_COLUMN;
-    }
-    
-    // Get column indices for required columns
-    const columnIndices = {};
-    headerRow.eachCell((cell, colNumber) => {
-      if (REQUIRED_COLUMNS.includes(cell.value)) {
-        columnIndices[cell.value] = colNumber;
-      }
-    });
-    
-    // Process each row
-    const rowCount = worksheet.rowCount;
-    console.log(chalk.blue(`Processing ${rowCount - 1} products...`));
-    
-    for (let rowNumber = 2; rowNumber <= rowCount; rowNumber++) {
-      const row = worksheet.getRow(rowNumber);
-      
-      // Skip empty rows
-      if (row.getCell(columnIndices.CODE).value === null) {
-        continue;
-      }
-      
-      const productCode = row.getCell(columnIndices.CODE).value.toString();
-      const productName = row.getCell(columnIndices.NAME).value.toString();
-      const productDescription = row.getCell(columnIndices.DESCRIPTION).value?.toString() || '';
-      // Convert price from dollars to cents (Stripe requires amounts in smallest currency unit)
-      const priceInDollars = parseFloat(row.getCell(columnIndices.PRICE).value);
-      const productPrice = Math.round(priceInDollars * 100); // Round to avoid floating point issues
-      const imageFileName = row.getCell(columnIndices.IMAGE).value?.toString();
-      
-      // Skip products without images
-      if (!imageFileName) {
-        console.warn(chalk.yellow(`Warning: Product ${productCode} has no image specified, skipping...`));
-        continue;
+    if (command === 'validate') {
+      // Findings are the only output in JSON mode, so that it can be piped
+      const report = await validateCatalog({ ...options, logger: argv.json ? SILENT_LOGGER : CONSOLE_LOGGER });
+      if (argv.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else if (report.findings.length > 0) {
+        console.table(report.findings);
       }
-      
-      // Validate price
-      if (isNaN(productPrice) || productPrice <= 0) {
-        console.warn(chalk.yellow(`Warning: Invalid price for product ${productCode}, skipping...`));
-        continue;
+      if (report.errors > 0) {
+        process.exit(1);
       }
-      
-      // Check if image file exists
-      const imagePath = path.join('productImages', imageFileName);
-      if (!fs.existsSync(imagePath)) {
-        console.warn(chalk.yellow(`Warning: Image file not found for product ${productCode}: ${imagePath}, skipping...`));
-        continue;
+    } else if (command === 'plan') {
+      await planCatalog(options);
+      if (argv.out) {
+        const accountOption = argv.account ? ` --account=${argv.account.join(',')}` : '';
+        console.log(chalk.green(`Upload it with: node stripe-product-uploader.js --file=${argv.file}${accountOption} --apply=${argv.out}`));
       }
-      
-      console.log(chalk.gray(`Processing product: ${productCode} - ${productName}`));
-      
-      // Check if product already has Stripe IDs
-      const existingProductId = row.getCell(productIdColIndex).value;
-      const existingPriceId = row.getCell(priceIdColIndex).value;
-      
-      if (existingProductId && existingPriceId) {
-        console.log(chalk.yellow(`Product ${productCode} already has Stripe IDs, skipping...`));
-        continue;
-      }
-      
-      if (!argv.dryRun) {
-        // Create product in Stripe with image
-        const product = await createStripeProduct(productName, productDescription, productCode, imagePath);
-        console.log(chalk.green(`Created Stripe product: ${product.id}`));
-        
-        // Create price in Stripe with product code as description
-        const price = await createStripePrice(product.id, productPrice, productCode);
-        console.log(chalk.green(`Created Stripe price: ${price.id}`));
-        
-        // Update Excel row with Stripe IDs
-        row.getCell(productIdColIndex).value = product.id;
-        row.getCell(priceIdColIndex).value = price.id;
-      } else {
-        console.log(chalk.yellow(`[DRY RUN] Would upload image to Stripe and create FileLink: ${imagePath}`));
-        console.log(chalk.yellow(`[DRY RUN] Would create Stripe product for ${productCode} with public image URL`));
-        console.log(chalk.yellow(`[DRY RUN] Would create Stripe price for ${productCode} with nickname: ${productCode} (${priceInDollars} USD = ${productPrice} cents)`));
-      }
-    }
-    
-    // Save the updated Excel file
-    if (!argv.dryRun) {
-      console.log(chalk.blue(`Saving updated Excel file to ${outputFilePath}...`));
-      await workbook.xlsx.writeFile(outputFilePath);
-      console.log(chalk.green('Excel file updated successfully!'));
+    } else if (command === 'rollback') {
+      await rollbackRun(options);
     } else {
-      console.log(chalk.yellow('[DRY RUN] Would save updated Excel file'));
+      // --prune asks before archiving, which needs a terminal
+      const summary = await uploadCatalog({ ...options, confirm: process.stdin.isTTY ? confirm : null });
+      if (summary.counts.failed > 0) {
+        process.exit(2);
+      }
     }
-    
-    console.log(chalk.green('Process completed successfully!'));
-    
   } catch (error) {
     console.error(chalk.red(`Error: ${error.message}`));
     process.exit(1);
   }
 }
 
-/**
- * Validate the worksheet structure
- * @param {Excel.Worksheet} worksheet - The worksheet to validate
- */
-function validateWorksheetStructure(worksheet) {
-  const headerRow = worksheet.getRow(1);
-  const missingColumns = [];
-  
-  // Check for required columns
-  REQUIRED_COLUMNS.forEach(columnName => {
-    let found = false;
-    headerRow.eachCell((cell) => {
-      if (cell.value === columnName) {
-        found = true;
-      }
-    });
-    
-    if (!found) {
-      missingColumns.push(columnName);
-    }
-  });
-  
-  if (missingColumns.length > 0) {
-    throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
-  }
-}
-
-/**
- * Upload an image to Stripe and create a public FileLink
- * @param {string} imagePath - Path to the image file
- * @returns {Promise<string>} - Public URL for the image
- */
-async function uploadImageToStripe(imagePath) {
-  console.log(chalk.gray(`Uploading image: ${imagePath}`));
-  
-  // Validate that the file exists
-  if (!fs.existsSync(imagePath)) {
-    throw new Error(`Image file not found: ${imagePath}`);
-  }
-  
-  // Get file stats to check size
-  const stats = fs.statSync(imagePath);
-  if (stats.size === 0) {
-    throw new Error(`Image file is empty: ${imagePath}`);
-  }
-  
-  // Determine MIME type based on file extension
-  const ext = path.extname(imagePath).toLowerCase();
-  let mimeType = 'application/octet-stream';
-  if (ext === '.jpg' || ext === '.jpeg') {
-    mimeType = 'image/jpeg';
-  } else if (ext === '.png') {
-    mimeType = 'image/png';
-  } else if (ext === '.gif') {
-    mimeType = 'image/gif';
-  }
-  
-  try {
-    // 1. Upload the file to Stripe
-    const fileData = fs.readFileSync(imagePath);
-    console.log(chalk.gray(`Successfully read image file (${fileData.length} bytes)`));
-    
-    const file = await stripe.files.create({
-      purpose: 'product_image',
-      file: {
-        data: fileData,
-        name: path.basename(imagePath),
-        type: mimeType,
-      },
-    });
-    
-    console.log(chalk.green(`Successfully uploaded image to Stripe: ${file.id}`));
-    
-    // 2. Create a FileLink to make the file publicly accessible
-    const fileLink = await stripe.fileLinks.create({
-      file: file.id,
-    });
-    
-    console.log(chalk.green(`Created public FileLink: ${fileLink.url}`));
-    
-    return fileLink.url;
-  } catch (error) {
-    throw new Error(`Failed to upload image to Stripe: ${error.message}`);
-  }
-}
-
-/**
- * Create a product in Stripe
- * @param {string} name - Product name
- * @param {string} description - Product description
- * @param {string} productCode - Product code for metadata
- * @param {string} imagePath - Path to the product image
- * @returns {Promise<Object>} - Stripe product object
- */
-async function createStripeProduct(name, description, productCode, imagePath) {
-  // First upload the image and get a public URL
-  const imageUrl = await uploadImageToStripe(imagePath);
-  
-  console.log(chalk.gray(`Using public image URL for product: ${imageUrl}`));
-  
-  // Then create the product with the image
-  try {
-    const product = await stripe.products.create({
-      name,
-      description,
-      metadata: {
-        product_code: productCode
-      },
-      images: [imageUrl]
-    });
-    
-    // Verify the product was created with the image
-    if (!product.images || product.images.length === 0) {
-      console.warn(chalk.yellow(`Warning: Product created but no images were attached. Product ID: ${product.id}`));
-    } else {
-      console.log(chalk.gray(`Product created with ${product.images.length} images: ${product.images.join(', ')}`));
-    }
-    
-    return product;
-  } catch (error) {
-    throw new Error(`Failed to create product in Stripe: ${error.message}`);
-  }
-}
-
-/**
- * Create a price in Stripe
- * @param {string} productId - Stripe product ID
- * @param {number} amount - Price amount in cents
- * @param {string} productCode - Product code to use as nickname
- * @returns {Promise<Object>} - Stripe price object
- */
-async function createStripePrice(productId, amount, productCode) {
-  console.log(chalk.gray(`Creating price for product ${productId}: ${amount} cents (${amount/100} USD)`));
-  
-  try {
-    const price = await stripe.prices.create({
-      product: productId,
-      unit_amount: amount,
-      currency: 'usd',
-      nickname: productCode
-    });
-    
-    console.log(chalk.gray(`Price created successfully: ${price.id}, amount: ${price.unit_amount} cents`));
-    return price;
-  } catch (error) {
-    throw new Error(`Failed to create price in Stripe: ${error.message}`);
-  }
-}
-
 // Run the main function
 main().catch(error => {
   console.error(chalk.red(`Unhandled error: ${error.message}`));
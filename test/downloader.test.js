@@ -0,0 +1,93 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { downloadCatalog } = require('../lib');
+const { FakeStripe } = require('./fake-stripe');
+
+/**
+ * Add a product with a one-time default price to the fake Stripe account
+ * @param {FakeStripe} stripe - Fake Stripe client
+ * @param {Object} fields - Product fields, with the price's unit amount
+ * @returns {Object} - The product and its price ({ product, price })
+ */
+function addProduct(stripe, { unitAmount, ...fields }) {
+  const product = stripe.products.add({ images: [], ...fields });
+  const price = stripe.prices.add({ product: product.id, unit_amount: unitAmount, currency: 'usd', nickname: fields.metadata.product_code });
+  product.default_price = price.id;
+  return { product, price };
+}
+
+describe('downloadCatalog', () => {
+  let stripe;
+  let tea;
+  
+  before(() => {
+    // The downloader writes its files relative to the working directory
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'stripe-product-downloader-')));
+  });
+  
+  beforeEach(() => {
+    stripe = new FakeStripe();
+    tea = addProduct(stripe, { name: 'Green tea', description: 'Loose leaf', metadata: { product_code: 'TEA', origin: 'Japan' }, unitAmount: 1250 });
+    addProduct(stripe, { name: 'Mug', description: 'Stoneware', metadata: { product_code: 'MUG' }, unitAmount: 800 });
+    stripe.products.add({ name: 'Old mug', description: 'Discontinued', metadata: { product_code: 'OLD' }, active: false });
+  });
+  
+  it('saves the active products with their default prices in the uploader\'s layout', async () => {
+    const { filePath, productCount } = await downloadCatalog({ stripe, format: 'json' });
+    
+    assert.strictEqual(productCount, 2);
+    const { Products: rows, PRICES: prices } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepStrictEqual(rows.map(row => [row.CODE, row.NAME, row.DESCRIPTION, row.PRICE, row.CURRENCY]), [
+      ['TEA', 'Green tea', 'Loose leaf', '12.50', 'USD'],
+      ['MUG', 'Mug', 'Stoneware', '8.00', 'USD']
+    ]);
+    assert.strictEqual(rows[0].META_origin, 'Japan');
+    assert.deepStrictEqual([rows[0].STRIPE_PRODUCT_ID, rows[0].STRIPE_PRICE_ID], [tea.product.id, tea.price.id]);
+    assert.deepStrictEqual(prices.map(price => [price.CODE, price.AMOUNT, price.ACTIVE]), [
+      ['TEA', '12.50', 'TRUE'],
+      ['MUG', '8.00', 'TRUE']
+    ]);
+  });
+  
+  it('includes archived products with --includeArchived', async () => {
+    const { productCount } = await downloadCatalog({ stripe, format: 'json', includeArchived: true });
+    
+    assert.strictEqual(productCount, 3);
+  });
+  
+  it('writes no file in a dry run', async () => {
+    // File names only go down to the second, so a file of another test can have the same name
+    const listDownloads = () => (fs.existsSync('downloads') ? fs.readdirSync('downloads') : []);
+    const filesBefore = listDownloads();
+    
+    await downloadCatalog({ stripe, format: 'json', dryRun: true });
+    
+    assert.deepStrictEqual(listDownloads(), filesBefore);
+  });
+  
+  it('reports the progress of every product', async () => {
+    const events = [];
+    await downloadCatalog({ stripe, format: 'json', onProgress: event => events.push(event) });
+    
+    assert.deepStrictEqual(events.map(({ type, code, completed, total }) => ({ type, code, completed, total })), [
+      { type: 'product', code: 'TEA', completed: 1, total: 2 },
+      { type: 'product', code: 'MUG', completed: 2, total: 2 }
+    ]);
+  });
+  
+  it('downloads the products of a connected account with --account', async () => {
+    const account = 'acct_1A2b3C';
+    const { product, price } = addProduct(stripe, { name: 'Tea set', description: 'For two', metadata: { product_code: 'SET' }, unitAmount: 4000, account });
+    price.account = account;
+    
+    const { filePath, productCount } = await downloadCatalog({ stripe, format: 'json', account });
+    
+    assert.strictEqual(productCount, 1);
+    const [row] = JSON.parse(fs.readFileSync(filePath, 'utf8')).Products;
+    assert.deepStrictEqual([row.CODE, row[`STRIPE_PRODUCT_ID_${account}`], row[`STRIPE_PRICE_ID_${account}`]], ['SET', product.id, price.id]);
+    assert.deepStrictEqual(stripe.calls.filter(call => call.options.stripeAccount !== account), []);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Fake Stripe Client
+ * 
+ * An in-memory stand-in for the parts of the Stripe client the library uses,
+ * so that the tests run without network access or an API key. Every request
+ * is recorded in calls, e.g. { method: 'prices.create', id, params, options }.
+ */
+
+// ID prefixes of the fake objects, by resource
+const ID_PREFIXES = {
+  products: 'prod',
+  prices: 'price',
+  files: 'file',
+  fileLinks: 'link',
+  paymentLinks: 'plink'
+};
+
+/**
+ * Create an error like the ones the Stripe client throws for invalid requests
+ * @param {string} message - Error message
+ * @returns {Error} - Error with Stripe's type and status code
+ */
+function createInvalidRequestError(message) {
+  const error = new Error(message);
+  error.type = 'StripeInvalidRequestError';
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Get the request options from the arguments of a request
+ * 
+ * Like the Stripe client, an object only counts as options if it has an
+ * option key, e.g. stripeAccount or idempotencyKey.
+ * @param {Array} args - Arguments after the ID, if any
+ * @returns {Object} - The request parameters and options ({ params, options })
+ */
+function splitArgs(args) {
+  const isOptions = arg => arg && ['stripeAccount', 'idempotencyKey'].some(key => Object.prototype.hasOwnProperty.call(arg, key));
+  const options = args.length > 0 && isOptions(args[args.length - 1]) ? args[args.length - 1] : {};
+  const params = args.length > 0 && !isOptions(args[0]) ? args[0] : {};
+  return { params, options };
+}
+
+/**
+ * Fake of one Stripe resource, e.g. stripe.products
+ */
+class FakeResource {
+  /**
+   * Create an empty resource
+   * @param {FakeStripe} stripe - Client the resource belongs to
+   * @param {string} name - Name of the resource, e.g. 'products'
+   */
+  constructor(stripe, name) {
+    this.stripe = stripe;
+    this.name = name;
+    this.objects = new Map();
+    this.idempotentResults = new Map();
+  }
+  
+  /**
+   * Record a request made to the resource
+   * @param {string} method - Method name, e.g. 'create'
+   * @param {string|null} id - ID of the object, if the request has one
+   * @param {Object} params - Request parameters
+   * @param {Object} options - Request options
+   */
+  record(method, id, params, options) {
+    this.stripe.calls.push({ method: `${this.name}.${method}`, id, params, options });
+  }
+  
+  /**
+   * Add an object directly, without recording a request
+   * @param {Object} fields - Fields of the object
+   * @returns {Object} - The stored object
+   */
+  add(fields) {
+    const id = fields.id || `${ID_PREFIXES[this.name]}_${++this.stripe.sequence}`;
+    const object = {
+      id,
+      active: true,
+      created: this.stripe.sequence,
+      updated: this.stripe.sequence,
+      metadata: {},
+      ...fields
+    };
+    
+    if (this.name === 'prices') {
+      object.type = object.recurring ? 'recurring' : 'one_time';
+      object.billing_scheme = object.billing_scheme || 'per_unit';
+    } else if (this.name === 'fileLinks') {
+      object.url = `https://files.stripe.com/links/${id}`;
+    } else if (this.name === 'paymentLinks') {
+      object.url = `https://buy.stripe.com/${id}`;
+    }
+    
+    this.objects.set(id, object);
+    return object;
+  }
+  
+  /**
+   * Get a stored object of the request's account
+   * @param {string} id - Object ID
+   * @param {Object} options - Request options
+   * @returns {Object} - The stored object
+   */
+  find(id, options) {
+    const object = this.objects.get(id);
+    if (!object || (object.account || null) !== (options.stripeAccount || null)) {
+      throw createInvalidRequestError(`No such ${this.name.replace(/s$/, '')}: '${id}'`);
+    }
+    return object;
+  }
+  
+  /**
+   * Create an object, or return the one created with the same idempotency key
+   * @param {...Object} args - Request parameters and options
+   * @returns {Promise<Object>} - The created object
+   */
+  async create(...args) {
+    const { params, options } = splitArgs(args);
+    this.record('create', null, params, options);
+    
+    if (options.idempotencyKey && this.idempotentResults.has(options.idempotencyKey)) {
+      return structuredClone(this.idempotentResults.get(options.idempotencyKey));
+    }
+    
+    // File uploads keep their name, but not their content
+    const fields = this.name === 'files' ? { filename: params.file.name, purpose: params.purpose } : structuredClone(params);
+    const object = this.add({ ...fields, ...(options.stripeAccount ? { account: options.stripeAccount } : {}) });
+    if (options.idempotencyKey) {
+      this.idempotentResults.set(options.idempotencyKey, object);
+    }
+    return structuredClone(object);
+  }
+  
+  /**
+   * Retrieve an object
+   * @param {string} id - Object ID
+   * @param {...Object} args - Request parameters and options
+   * @returns {Promise<Object>} - The object
+   */
+  async retrieve(id, ...args) {
+    const { params, options } = splitArgs(args);
+    this.record('retrieve', id, params, options);
+    return structuredClone(this.find(id, options));
+  }
+  
+  /**
+   * Update an object
+   * @param {string} id - Object ID
+   * @param {...Object} args - Request parameters and options
+   * @returns {Promise<Object>} - The updated object
+   */
+  async update(id, ...args) {
+    const { params, options } = splitArgs(args);
+    this.record('update', id, params, options);
+    const object = this.find(id, options);
+    
+    Object.entries(structuredClone(params)).forEach(([key, value]) => {
+      if (key === 'metadata') {
+        // Empty values unset metadata keys
+        object.metadata = { ...object.metadata, ...value };
+        Object.keys(object.metadata).filter(metadataKey => object.metadata[metadataKey] === '').forEach(metadataKey => {
+          delete object.metadata[metadataKey];
+        });
+      } else {
+        object[key] = value === '' ? null : value;
+      }
+    });
+    object.updated = ++this.stripe.sequence;
+    
+    return structuredClone(object);
+  }
+  
+  /**
+   * List the objects of the request's account, one page at a time
+   * @param {...Object} args - Request parameters (active, product, ids, limit, starting_after) and options
+   * @returns {Promise<Object>} - One page of objects ({ data, has_more })
+   */
+  async list(...args) {
+    const { params, options } = splitArgs(args);
+    this.record('list', null, params, options);
+    
+    let objects = [...this.objects.values()]
+      .filter(object => (object.account || null) === (options.stripeAccount || null))
+      .filter(object => params.active === undefined || object.active === params.active)
+      .filter(object => !params.product || object.product === params.product)
+      .filter(object => !params.ids || params.ids.includes(object.id));
+    
+    if (params.starting_after) {
+      const index = objects.findIndex(object => object.id === params.starting_after);
+      objects = objects.slice(index + 1);
+    }
+    
+    const limit = params.limit || 10;
+    return {
+      data: structuredClone(objects.slice(0, limit)),
+      has_more: objects.length > limit
+    };
+  }
+}
+
+/**
+ * Fake Stripe client
+ */
+class FakeStripe {
+  /**
+   * Create a client without any objects
+   */
+  constructor() {
+    this.sequence = 0;
+    this.calls = [];
+    Object.keys(ID_PREFIXES).forEach(name => {
+      this[name] = new FakeResource(this, name);
+    });
+  }
+  
+  /**
+   * Get the recorded requests of a method
+   * @param {string} method - Method name, e.g. 'prices.create'
+   * @returns {Array<Object>} - The requests, oldest first
+   */
+  callsTo(method) {
+    return this.calls.filter(call => call.method === method);
+  }
+}
+
+module.exports = {
+  FakeStripe
+};
@@ -0,0 +1,200 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Excel = require('exceljs');
+const { uploadCatalog } = require('../lib');
+const { FakeStripe } = require('./fake-stripe');
+
+// A 1x1 PNG image
+const PNG_IMAGE = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+const PRODUCTS_FILE = 'products.json';
+
+/**
+ * Write a product file with the given rows
+ * @param {Array<Object>} rows - Product rows, keyed by column name
+ * @param {Object} [otherSheets] - Rows of the other worksheets, by worksheet name
+ */
+function writeProducts(rows, otherSheets = {}) {
+  fs.writeFileSync(PRODUCTS_FILE, JSON.stringify({ Products: rows, ...otherSheets }, null, 2));
+}
+
+/**
+ * Read the product rows of the product file
+ * @returns {Array<Object>} - Product rows, keyed by column name
+ */
+function readProducts() {
+  return JSON.parse(fs.readFileSync(PRODUCTS_FILE, 'utf8')).Products;
+}
+
+describe('uploadCatalog', () => {
+  let stripe;
+  
+  before(() => {
+    // The uploader reads images and writes journals relative to the working directory
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'stripe-product-uploader-')));
+    fs.mkdirSync('productImages');
+    fs.writeFileSync(path.join('productImages', 'tea.png'), PNG_IMAGE);
+    fs.writeFileSync(path.join('productImages', 'mug.png'), PNG_IMAGE);
+  });
+  
+  beforeEach(() => {
+    stripe = new FakeStripe();
+    writeProducts([
+      { CODE: 'TEA', NAME: 'Green tea', DESCRIPTION: 'Loose leaf', PRICE: 12.5, IMAGE: 'tea.png' },
+      { CODE: 'MUG', NAME: 'Mug', DESCRIPTION: 'Stoneware', PRICE: 8, IMAGE: 'mug.png' }
+    ]);
+  });
+  
+  it('creates a product and a price for each row and writes their IDs to the file', async () => {
+    const summary = await uploadCatalog({ file: PRODUCTS_FILE, stripe });
+    
+    assert.deepStrictEqual(summary.counts, { created: 2, updated: 0, skipped: 0, failed: 0 });
+    
+    const rows = readProducts();
+    const tea = await stripe.products.retrieve(rows[0].STRIPE_PRODUCT_ID);
+    assert.strictEqual(tea.name, 'Green tea');
+    assert.strictEqual(tea.description, 'Loose leaf');
+    assert.strictEqual(tea.metadata.product_code, 'TEA');
+    assert.strictEqual(tea.images.length, 1);
+    
+    const teaPrice = await stripe.prices.retrieve(rows[0].STRIPE_PRICE_ID);
+    assert.strictEqual(teaPrice.product, tea.id);
+    assert.strictEqual(teaPrice.unit_amount, 1250);
+    assert.strictEqual(teaPrice.currency, 'usd');
+    
+    assert.strictEqual(stripe.callsTo('products.create').length, 2);
+    assert.strictEqual(stripe.callsTo('prices.create').length, 2);
+  });
+  
+  it('makes no changes in a dry run', async () => {
+    const summary = await uploadCatalog({ file: PRODUCTS_FILE, stripe, dryRun: true });
+    
+    assert.strictEqual(summary.dryRun, true);
+    assert.strictEqual(stripe.callsTo('products.create').length, 0);
+    assert.strictEqual(stripe.callsTo('prices.create').length, 0);
+    assert.strictEqual(readProducts()[0].STRIPE_PRODUCT_ID, undefined);
+  });
+  
+  it('updates changed products with --update and leaves unchanged ones alone', async () => {
+    await uploadCatalog({ file: PRODUCTS_FILE, stripe });
+    const rows = readProducts();
+    rows[0].NAME = 'Sencha';
+    writeProducts(rows);
+    stripe.calls = [];
+    
+    const summary = await uploadCatalog({ file: PRODUCTS_FILE, stripe, update: true });
+    
+    assert.deepStrictEqual(summary.counts, { created: 0, updated: 1, skipped: 1, failed: 0 });
+    assert.strictEqual((await stripe.products.retrieve(rows[0].STRIPE_PRODUCT_ID)).name, 'Sencha');
+    assert.deepStrictEqual(stripe.callsTo('products.update').map(call => call.id), [rows[0].STRIPE_PRODUCT_ID]);
+    assert.strictEqual(stripe.callsTo('prices.create').length, 0);
+  });
+  
+  it('keeps the images of products without an image hash and only records the hash', async () => {
+    const product = stripe.products.add({ name: 'Green tea', description: 'Loose leaf', images: ['https://example.com/tea.png'], metadata: { product_code: 'TEA' } });
+    const price = stripe.prices.add({ product: product.id, unit_amount: 1250, currency: 'usd' });
+    product.default_price = price.id;
+    writeProducts([
+      { CODE: 'TEA', NAME: 'Green tea', DESCRIPTION: 'Loose leaf', PRICE: 12.5, IMAGE: 'tea.png', STRIPE_PRODUCT_ID: product.id, STRIPE_PRICE_ID: price.id }
+    ]);
+    
+    const summary = await uploadCatalog({ file: PRODUCTS_FILE, stripe, update: true });
+    
+    assert.deepStrictEqual(summary.counts, { created: 0, updated: 0, skipped: 1, failed: 0 });
+    assert.strictEqual(stripe.callsTo('files.create').length, 0);
+    const updatedProduct = await stripe.products.retrieve(product.id);
+    assert.deepStrictEqual(updatedProduct.images, ['https://example.com/tea.png']);
+    assert.match(updatedProduct.metadata.image_hash, /^[0-9a-f]{64}$/);
+  });
+  
+  it('replaces the default price when the price changes, and archives the old one', async () => {
+    await uploadCatalog({ file: PRODUCTS_FILE, stripe });
+    const rows = readProducts();
+    const oldPriceId = rows[1].STRIPE_PRICE_ID;
+    rows[1].PRICE = 9.5;
+    writeProducts(rows);
+    
+    await uploadCatalog({ file: PRODUCTS_FILE, stripe, update: true });
+    
+    const newPriceId = readProducts()[1].STRIPE_PRICE_ID;
+    assert.notStrictEqual(newPriceId, oldPriceId);
+    assert.strictEqual((await stripe.prices.retrieve(newPriceId)).unit_amount, 950);
+    assert.strictEqual((await stripe.prices.retrieve(oldPriceId)).active, false);
+    assert.strictEqual((await stripe.products.retrieve(rows[1].STRIPE_PRODUCT_ID)).default_price, newPriceId);
+  });
+  
+  it('records price changes in an empty PRICE_HISTORY worksheet of a JSON file', async () => {
+    await uploadCatalog({ file: PRODUCTS_FILE, stripe });
+    const rows = readProducts();
+    const oldPriceId = rows[1].STRIPE_PRICE_ID;
+    rows[1].PRICE = 9.5;
+    writeProducts(rows, { PRICE_TIERS: [], PRICE_HISTORY: [] });
+    
+    await uploadCatalog({ file: PRODUCTS_FILE, stripe, update: true });
+    
+    const sheets = JSON.parse(fs.readFileSync(PRODUCTS_FILE, 'utf8'));
+    assert.deepStrictEqual(Object.keys(sheets), ['Products', 'PRICE_TIERS', 'PRICE_HISTORY']);
+    assert.deepStrictEqual(sheets.PRICE_TIERS, []);
+    assert.deepStrictEqual(sheets.PRICE_HISTORY.map(entry => [entry.CODE, entry.OLD_PRICE_ID, entry.NEW_PRICE_ID]), [
+      ['MUG', oldPriceId, sheets.Products[1].STRIPE_PRICE_ID]
+    ]);
+  });
+  
+  it('reports the progress of every row', async () => {
+    const events = [];
+    await uploadCatalog({ file: PRODUCTS_FILE, stripe, onProgress: event => events.push(event) });
+    
+    const rows = readProducts();
+    assert.deepStrictEqual(events.map(({ type, code, status, completed, total }) => ({ type, code, status, completed, total })), [
+      { type: 'row', code: 'TEA', status: 'created', completed: 1, total: 2 },
+      { type: 'row', code: 'MUG', status: 'created', completed: 2, total: 2 }
+    ]);
+    assert.deepStrictEqual(events.map(event => [event.productId, event.priceId]), rows.map(row => [row.STRIPE_PRODUCT_ID, row.STRIPE_PRICE_ID]));
+  });
+  
+  it('sends plain messages to the logger', async () => {
+    const messages = [];
+    const logger = {
+      log: message => messages.push(message),
+      warn: message => messages.push(message),
+      error: message => messages.push(message)
+    };
+    
+    await uploadCatalog({ file: PRODUCTS_FILE, stripe, logger });
+    
+    assert.ok(messages.length > 0);
+    assert.deepStrictEqual(messages.filter(message => message.includes('\u001b[')), []);
+  });
+  
+  it('checks that every worksheet fits the output format before uploading anything', async () => {
+    const workbook = new Excel.Workbook();
+    ['Tea', 'Coffee'].forEach(sheetName => {
+      const worksheet = workbook.addWorksheet(sheetName);
+      worksheet.addRow(['CODE', 'NAME', 'DESCRIPTION', 'PRICE', 'IMAGE']);
+      worksheet.addRow([sheetName.toUpperCase(), sheetName, 'By the pound', 10, 'tea.png']);
+    });
+    await workbook.xlsx.writeFile('sheets.xlsx');
+    
+    await assert.rejects(
+      uploadCatalog({ file: 'sheets.xlsx', output: 'sheets.csv', allSheets: true, stripe }),
+      /Worksheet "Coffee" can't be saved as a CSV sidecar file/
+    );
+    assert.deepStrictEqual(stripe.calls, []);
+    assert.strictEqual(fs.existsSync('sheets.csv'), false);
+  });
+  
+  it('gives runs started together their own journals', async () => {
+    const summaries = await Promise.all([
+      uploadCatalog({ file: PRODUCTS_FILE, stripe, output: 'first.json' }),
+      uploadCatalog({ file: PRODUCTS_FILE, stripe: new FakeStripe(), output: 'second.json' })
+    ]);
+    
+    assert.notStrictEqual(summaries[0].runId, summaries[1].runId);
+    summaries.forEach(summary => {
+      assert.ok(fs.existsSync(path.join('journals', `${summary.runId}.jsonl`)));
+    });
+  });
+});